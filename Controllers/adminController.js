@@ -0,0 +1,93 @@
+const Admin = require('../models/Admin');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// @desc    List admin accounts
+// @route   GET /api/admins
+// @access  Owner
+exports.listAdmins = async (req, res) => {
+    try {
+        const admins = await Admin.find().sort({ username: 1 });
+        res.json({
+            success: true,
+            admins: admins.map(admin => ({
+                id: admin._id,
+                username: admin.username,
+                role: admin.role,
+                active: admin.active,
+                twoFactorEnabled: admin.twoFactorEnabled,
+                locked: admin.isLocked(),
+                lockedUntil: admin.isLocked() ? admin.lockedUntil : null,
+                lastLoginAt: admin.lastLoginAt || null
+            }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Clear a temporary login lockout
+// @route   POST /api/admins/:id/unlock
+// @access  Owner
+exports.unlockAdmin = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        await admin.unlock();
+        console.log(`🔓 Admin "${admin.username}" unlocked by ${req.admin.username}`);
+
+        res.json({ success: true, message: `Admin ${admin.username} unlocked` });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid admin ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Login attempt log (failed by default)
+// @route   GET /api/admins/login-attempts?username=&ip=&success=&from=&to=&page=&limit=
+// @access  Owner
+exports.listLoginAttempts = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.username) query.username = String(req.query.username);
+        if (req.query.ip) query.ip = String(req.query.ip);
+        query.success = req.query.success === 'true';
+        if (req.query.success === 'all') delete query.success;
+
+        if (req.query.from || req.query.to) {
+            query.createdAt = {};
+            if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [attempts, total] = await Promise.all([
+            LoginAttempt.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v'),
+            LoginAttempt.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: attempts,
+            meta: { total, page, pages: Math.ceil(total / limit) }
+        });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid filter value' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
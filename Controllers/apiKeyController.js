@@ -0,0 +1,111 @@
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../middleware/apiKeyAuth');
+
+const parseScopes = (scopes) => {
+    if (scopes === undefined) return undefined;
+    return Array.isArray(scopes) ? scopes : String(scopes).split(',').map(s => s.trim()).filter(Boolean);
+};
+
+const validationResponse = (res, err) => res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: Object.values(err.errors).map(e => e.message)
+});
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Owner
+exports.listApiKeys = async (req, res) => {
+    try {
+        const keys = await ApiKey.find()
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'username');
+        res.json({ success: true, data: keys, scopes: ApiKey.SCOPES });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Create an API key (the plaintext key is only returned here)
+// @route   POST /api/api-keys
+// @access  Owner
+exports.createApiKey = async (req, res) => {
+    try {
+        const { key, prefix, keyHash } = generateApiKey();
+        const apiKey = await ApiKey.create({
+            name: req.body.name,
+            scopes: parseScopes(req.body.scopes) || [],
+            rateLimitPerMinute: req.body.rateLimitPerMinute,
+            expiresAt: req.body.expiresAt || undefined,
+            prefix,
+            keyHash,
+            createdBy: req.admin._id
+        });
+
+        console.log(`🔑 API key "${apiKey.name}" (${prefix}) created by ${req.admin.username}`);
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now; it will not be shown again.',
+            key,
+            apiKey
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return validationResponse(res, err);
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Rename a key or change its scopes / rate limit / expiry
+// @route   PATCH /api/api-keys/:id
+// @access  Owner
+exports.updateApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        if (req.body.name !== undefined) apiKey.name = req.body.name;
+        if (req.body.scopes !== undefined) apiKey.scopes = parseScopes(req.body.scopes);
+        if (req.body.rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = req.body.rateLimitPerMinute;
+        if (req.body.expiresAt !== undefined) apiKey.expiresAt = req.body.expiresAt || undefined;
+        await apiKey.save();
+
+        res.json({ success: true, message: 'API key updated', apiKey });
+    } catch (err) {
+        if (err.name === 'ValidationError') return validationResponse(res, err);
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid API key ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Owner
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = Date.now();
+            await apiKey.save();
+        }
+
+        console.log(`🚫 API key "${apiKey.name}" (${apiKey.prefix}) revoked by ${req.admin.username}`);
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid API key ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Query the listing audit log
+// @route   GET /api/audit?listing=&actor=&username=&action=&from=&to=&page=&limit=
+// @access  Owner
+exports.listAuditLogs = async (req, res) => {
+    try {
+        const query = {};
+
+        for (const key of ['listing', 'actor']) {
+            if (!req.query[key]) continue;
+            if (!mongoose.Types.ObjectId.isValid(req.query[key])) {
+                return res.status(400).json({ success: false, message: `Invalid ${key} ID format` });
+            }
+            query[key] = req.query[key];
+        }
+        if (req.query.username) query.actorUsername = String(req.query.username);
+        if (req.query.action) query.action = { $in: String(req.query.action).split(',') };
+
+        if (req.query.from || req.query.to) {
+            const from = req.query.from ? new Date(req.query.from) : null;
+            const to = req.query.to ? new Date(req.query.to) : null;
+            if ((from && isNaN(from)) || (to && isNaN(to))) {
+                return res.status(400).json({ success: false, message: 'Invalid date range' });
+            }
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = from;
+            if (to) query.createdAt.$lte = to;
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v'),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: entries,
+            meta: { total, page, pages: Math.ceil(total / limit) }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
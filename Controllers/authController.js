@@ -1,50 +1,565 @@
-const Admin = require('../models/admin');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendMail, isMailConfigured } = require('../utils/mailer');
+const {
+    signAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    generateRefreshToken,
+    hashToken,
+    refreshTokenExpiry,
+    isSessionIdle,
+    ACCESS_TOKEN_TTL
+} = require('../utils/authTokens');
+const {
+    MAX_IP_FAILURES,
+    WINDOW_MS,
+    sleep,
+    countRecentFailures,
+    progressiveDelay,
+    reserveLoginAttempt,
+    recordLoginAttempt,
+    discardLoginAttempt,
+    registerFailure
+} = require('../utils/loginThrottle');
+const {
+    generateSecret,
+    buildOtpAuthUrl,
+    encryptSecret,
+    generateRecoveryCodes,
+    isTwoFactorRequired
+} = require('../utils/twoFactor');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
-const JWT_EXPIRES_IN = '7d'; // Token validity
+const adminSummary = (admin) => ({
+    id: admin._id,
+    username: admin.username,
+    role: admin.role,
+    twoFactorEnabled: Boolean(admin.twoFactorEnabled)
+});
+
+// Create a session for this device and return its token pair
+const issueSession = async (admin, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        admin: admin._id,
+        tokenHash: hashToken(refreshToken),
+        userAgent: (req.get('user-agent') || '').substring(0, 300),
+        ip: req.ip,
+        expiresAt: refreshTokenExpiry()
+    });
+
+    return {
+        token: signAccessToken(admin, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL
+    || `${process.env.FRONTEND_URL || 'https://uniprorealestate.co.ke'}/admin.html`;
+
+// Final step of every successful sign-in (with or without 2FA)
+const completeLogin = async (req, res, admin, extra = {}, attempt = null) => {
+    admin.lastLoginAt = Date.now();
+    admin.failedLoginCount = 0;
+    admin.lockedUntil = undefined;
+    await admin.save();
+    await recordLoginAttempt(req, { username: admin.username, admin, success: true, reason: 'ok' }, attempt);
+
+    const tokens = await issueSession(admin, req);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        ...tokens,
+        ...extra,
+        admin: adminSummary(admin)
+    });
+};
 
 // @desc    Admin login
 // @route   POST /api/auth/login
 // @access  Public
 exports.login = async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { password } = req.body;
+        const username = req.body.username ? String(req.body.username).trim() : '';
 
         if (!username || !password) {
-            return res.status(400).json({ message: 'Please provide username and password' });
+            return res.status(400).json({ success: false, message: 'Please provide username and password' });
+        }
+
+        // Counted below together with any attempts running in parallel
+        const attempt = await reserveLoginAttempt(req, username);
+        const counts = await countRecentFailures({ username, ip: req.ip });
+        const userFailures = counts.userFailures - 1;
+        const ipFailures = counts.ipFailures - 1;
+
+        if (ipFailures >= MAX_IP_FAILURES) {
+            await recordLoginAttempt(req, { username, success: false, reason: 'ip-blocked' }, attempt);
+            res.set('Retry-After', String(Math.ceil(WINDOW_MS / 1000)));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts from this network. Please try again later.',
+                code: 'TOO_MANY_ATTEMPTS'
+            });
         }
 
-        // Find admin
+        // Slow down repeated guessing before touching the password hash
+        await sleep(progressiveDelay(Math.max(userFailures, ipFailures)));
+
+        // Unknown and locked accounts get the same answer so usernames can't be probed
         const admin = await Admin.findOne({ username });
-        if (!admin) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+        if (!admin || admin.isLocked()) {
+            await recordLoginAttempt(req, { username, admin, success: false, reason: admin ? 'locked' : 'unknown-user' }, attempt);
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
         // Compare password
-        const isMatch = await bcrypt.compare(password, admin.password);
+        const isMatch = await admin.comparePassword(password);
         if (!isMatch) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+            await registerFailure(admin);
+            await recordLoginAttempt(req, { username, admin, success: false, reason: 'bad-password' }, attempt);
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
-        // Create JWT
-        const token = jwt.sign(
-            { id: admin._id, username: admin.username },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        if (!admin.active) {
+            await recordLoginAttempt(req, { username, admin, success: false, reason: 'disabled' }, attempt);
+            return res.status(403).json({ success: false, message: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+        }
 
-        res.json({
-            message: 'Login successful',
-            token,
-            admin: {
-                id: admin._id,
-                username: admin.username
+        // Password is right; a second step may still be needed
+        if (admin.twoFactorEnabled || isTwoFactorRequired(admin)) {
+            await discardLoginAttempt(attempt);
+        }
+        if (admin.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(admin, '2fa')
+            });
+        }
+
+        if (isTwoFactorRequired(admin)) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication must be set up before you can sign in',
+                twoFactorSetupRequired: true,
+                challengeToken: signChallengeToken(admin, '2fa-setup')
+            });
+        }
+
+        await completeLogin(req, res, admin, {}, attempt);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Second login step: TOTP code or single-use recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ success: false, message: 'Challenge token and code are required' });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyChallengeToken(challengeToken, '2fa');
+        } catch (err) {
+            return res.status(401).json({ success: false, message: 'Login step expired, please log in again', code: 'INVALID_CHALLENGE' });
+        }
+
+        const admin = await Admin.findById(decoded.id);
+        if (!admin || !admin.active || !admin.twoFactorEnabled) {
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (admin.isLocked()) {
+            return res.status(423).json({
+                success: false,
+                message: 'Account is temporarily locked after too many failed attempts. Try again later or ask an owner to unlock it.',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: admin.lockedUntil
+            });
+        }
+
+        const verified = recoveryCode
+            ? admin.useRecoveryCode(recoveryCode)
+            : admin.verifyTwoFactorCode(code);
+
+        if (!verified) {
+            await registerFailure(admin);
+            await recordLoginAttempt(req, { username: admin.username, admin, success: false, reason: 'bad-2fa-code' });
+            return res.status(401).json({ success: false, message: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+        }
+
+        await completeLogin(req, res, admin, recoveryCode
+            ? { recoveryCodesRemaining: admin.recoveryCodes.length }
+            : {});
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Exchange a refresh token for a new token pair (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, message: 'Refresh token is required' });
+        }
+
+        const tokenHash = hashToken(refreshToken);
+        const session = await Session.findOne({ tokenHash });
+
+        if (!session) {
+            // A rotated-out token being replayed means it leaked: kill that session
+            const reused = await Session.findOne({ previousTokenHash: tokenHash });
+            if (reused && !reused.revokedAt) {
+                await reused.revoke('refresh-token-reuse');
+                console.warn(`⚠️ Refresh token reuse detected for session ${reused._id}`);
             }
+            return res.status(401).json({ success: false, message: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        if (!session.isActive() || isSessionIdle(session)) {
+            if (!session.revokedAt) await session.revoke('idle-timeout');
+            return res.status(401).json({ success: false, message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+        }
+
+        const admin = await Admin.findById(session.admin);
+        if (!admin || !admin.active) {
+            await session.revoke('admin-inactive');
+            return res.status(401).json({ success: false, message: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+        }
+
+        const nextRefreshToken = generateRefreshToken();
+        session.previousTokenHash = tokenHash;
+        session.tokenHash = hashToken(nextRefreshToken);
+        session.lastUsedAt = Date.now();
+        session.ip = req.ip;
+        session.expiresAt = refreshTokenExpiry();
+        await session.save();
+
+        res.json({
+            success: true,
+            token: signAccessToken(admin, session._id),
+            refreshToken: nextRefreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            admin: adminSummary(admin)
         });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ message: 'Server error' });
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+    try {
+        await req.authSession.revoke('logout');
+        res.json({ success: true, message: 'Logged out' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Current admin
+// @route   GET /api/auth/me
+// @access  Private
+exports.me = (req, res) => {
+    res.json({
+        success: true,
+        admin: adminSummary(req.admin)
+    });
+};
+
+// @desc    List my active sessions (one per device)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            admin: req.admin._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === req.authSession._id.toString()
+            }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Revoke one of my sessions (per-device sign out)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, admin: req.admin._id });
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        if (!session.revokedAt) await session.revoke('revoked-by-user');
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid session ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Start 2FA enrolment: returns a new secret and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or '2fa-setup' challenge token)
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id);
+        if (admin.twoFactorEnabled) {
+            return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        admin.twoFactorPendingSecret = encryptSecret(secret);
+        await admin.save();
+
+        const otpauthUrl = buildOtpAuthUrl(admin.username, secret);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Confirm enrolment with a first code; returns recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or '2fa-setup' challenge token)
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id);
+        if (admin.twoFactorEnabled) {
+            return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+        if (!admin.twoFactorPendingSecret) {
+            return res.status(400).json({ success: false, message: 'Start setup first' });
+        }
+
+        if (!admin.verifyTwoFactorCode(req.body.code, { pending: true })) {
+            return res.status(400).json({ success: false, message: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        admin.twoFactorSecret = admin.twoFactorPendingSecret;
+        admin.twoFactorPendingSecret = undefined;
+        admin.twoFactorEnabled = true;
+        admin.recoveryCodes = hashes;
+
+        // Enforced enrolment during login finishes by signing the admin in
+        if (req.isSetupChallenge) {
+            return completeLogin(req, res, admin, { recoveryCodes: codes });
+        }
+
+        await admin.save();
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Turn 2FA off (needs password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id);
+        if (!admin.twoFactorEnabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+        if (isTwoFactorRequired(admin)) {
+            return res.status(403).json({ success: false, message: `Two-factor authentication is required for the ${admin.role} role`, code: 'TWO_FACTOR_REQUIRED' });
+        }
+
+        const passwordOk = await admin.comparePassword(req.body.password || '');
+        if (!passwordOk || !admin.verifyTwoFactorCode(req.body.code)) {
+            return res.status(401).json({ success: false, message: 'Invalid password or authentication code' });
+        }
+
+        admin.clearTwoFactor();
+        await admin.save();
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Replace all recovery codes (needs a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id);
+        if (!admin.twoFactorEnabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+        if (!admin.verifyTwoFactorCode(req.body.code)) {
+            return res.status(401).json({ success: false, message: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        admin.recoveryCodes = hashes;
+        await admin.save();
+
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+    // Same answer whether or not the account exists
+    const genericResponse = {
+        success: true,
+        message: 'If that account exists and has an email address, a reset link has been sent.'
+    };
+
+    try {
+        const identifier = String(req.body.email || req.body.username || '').trim();
+        if (!identifier) {
+            return res.status(400).json({ success: false, message: 'Please provide your username or email' });
+        }
+
+        // Checked before the lookup so every account gets the same answer
+        if (!isMailConfigured()) {
+            console.error('❌ Password reset requested but no mail transport is configured');
+            return res.status(503).json({ success: false, message: 'Password reset by email is not available. Contact the site owner.' });
+        }
+
+        const admin = await Admin.findOne({
+            $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+        });
+        if (!admin || !admin.active || !admin.email) {
+            return res.json(genericResponse);
+        }
+
+        // Only the newest link works
+        await PasswordResetToken.deleteMany({ admin: admin._id, usedAt: null });
+
+        const token = generateRefreshToken();
+        await PasswordResetToken.create({
+            admin: admin._id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+            requestedIp: req.ip
+        });
+
+        const resetLink = `${PASSWORD_RESET_URL}?resetToken=${encodeURIComponent(token)}`;
+        await sendMail({
+            to: admin.email,
+            subject: 'Reset your Unipro Real Estate admin password',
+            text: [
+                `Hi ${admin.username},`,
+                '',
+                'Someone asked to reset the password for your admin account.',
+                `Use this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+                '',
+                resetLink,
+                '',
+                "If you didn't ask for this you can ignore this email; your password won't change."
+            ].join('\n')
+        });
+
+        console.log(`📧 Password reset requested for ${admin.username}`);
+        res.json(genericResponse);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) {
+            return res.status(400).json({ success: false, message: 'Token and new password are required' });
+        }
+        if (String(password).length < Admin.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Password must be at least ${Admin.MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        // Claim the token atomically so it can only ever be used once
+        const resetToken = await PasswordResetToken.findOneAndUpdate(
+            { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } }
+        );
+        if (!resetToken) {
+            return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+        }
+
+        const admin = await Admin.findById(resetToken.admin);
+        if (!admin || !admin.active) {
+            return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+        }
+
+        admin.password = password;
+        admin.failedLoginCount = 0;
+        admin.lockedUntil = undefined;
+        await admin.save();
+
+        // Sign out every device that used the old password
+        await Session.revokeAllForAdmin(admin._id, 'password-reset');
+
+        console.log(`🔄 Password reset completed for ${admin.username}`);
+        res.json({ success: true, message: 'Password updated. You can now log in.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
 };
@@ -0,0 +1,156 @@
+const LandListing = require('../models/LandListing');
+const {
+    parseBoundaryFile,
+    checkBoundaryArea,
+    findBoundaryOverlaps,
+    boundaryCenter
+} = require('../utils/boundary');
+const { toGeoPoint, extractCoordinatesFromMapLink } = require('../utils/geo');
+const { recordRevision } = require('../utils/revisions');
+const { recordListingUpdate } = require('../utils/auditLog');
+
+// Mongo refuses self-intersecting or otherwise malformed polygons
+const INVALID_GEOMETRY_CODE = 16755;
+
+// Audit entries describe the boundary by its details; the polygon is too bulky
+const auditState = (plain) => {
+    if (!plain.boundary) return plain;
+    const { geometry, ...details } = plain.boundary;
+    return { ...plain, boundary: details };
+};
+
+// @desc    Upload a KML/GPX/GeoJSON boundary for a listing
+// @route   PUT /api/listings/:id/boundary (multipart field "boundary")
+// @access  Private (listings:update, agents only their own)
+exports.uploadBoundary = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach a KML, GPX or GeoJSON file in the "boundary" field'
+            });
+        }
+
+        const { geometry, format, error } = parseBoundaryFile(req.file.buffer, req.file.originalname);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const listing = req.listing;
+        const before = listing.toObject();
+        const areaCheck = checkBoundaryArea(geometry, listing.plotArea);
+        const overlaps = await findBoundaryOverlaps(LandListing, geometry, listing._id);
+
+        listing.boundary = {
+            geometry,
+            sourceFormat: format,
+            sourceFilename: req.file.originalname,
+            surveyedSqm: areaCheck.surveyedSqm,
+            surveyedAcres: areaCheck.surveyedAcres,
+            areaDifferencePercent: areaCheck.differencePercent,
+            areaWithinTolerance: areaCheck.withinTolerance,
+            overlaps: overlaps.map(({ listing: id, title, overlapSqm }) => ({ listing: id, title, overlapSqm })),
+            uploadedBy: req.admin._id,
+            uploadedAt: new Date()
+        };
+
+        // Give "near me" search a pin if the listing has none yet
+        const pinned = !listing.geo;
+        if (pinned) {
+            const center = boundaryCenter(geometry);
+            listing.geo = toGeoPoint(center.lat, center.lng);
+        }
+
+        await listing.save();
+        await recordListingUpdate(req, auditState(before), auditState(listing.toObject()));
+        if (pinned) await recordRevision(req, listing, 'update', { before });
+
+        console.log(`🗺️ Boundary saved for ${listing.title}: ${areaCheck.surveyedSqm} m², ${overlaps.length} overlaps`);
+        res.json({
+            success: true,
+            message: overlaps.length
+                ? `Boundary saved, but it overlaps ${overlaps.length} active listing(s)`
+                : 'Boundary saved',
+            boundary: listing.boundary,
+            areaCheck,
+            overlaps
+        });
+    } catch (err) {
+        if (err.code === INVALID_GEOMETRY_CODE) {
+            return res.status(400).json({
+                success: false,
+                message: 'Boundary polygon is invalid (check that edges do not cross)'
+            });
+        }
+        console.error('❌ Boundary upload failed:', err);
+        res.status(500).json({ success: false, message: 'Failed to save boundary' });
+    }
+};
+
+// @desc    Remove a listing's boundary
+// @route   DELETE /api/listings/:id/boundary
+// @access  Private (listings:update, agents only their own)
+exports.removeBoundary = async (req, res) => {
+    try {
+        const listing = req.listing;
+        if (!listing.boundary) {
+            return res.status(404).json({ success: false, message: 'Listing has no boundary' });
+        }
+
+        const before = listing.toObject();
+        // The upload pins listings without coordinates at the boundary's centre;
+        // that pin goes with the boundary, falling back to the map link's
+        const center = boundaryCenter(listing.boundary.geometry);
+        const pinnedFromBoundary = Boolean(listing.geo) &&
+            listing.geo.coordinates[0] === center.lng && listing.geo.coordinates[1] === center.lat;
+
+        listing.boundary = undefined;
+        if (pinnedFromBoundary) {
+            const coords = extractCoordinatesFromMapLink(listing.mapLink);
+            listing.geo = coords ? toGeoPoint(coords.lat, coords.lng) : undefined;
+        }
+        await listing.save();
+        await recordListingUpdate(req, auditState(before), listing.toObject());
+        if (pinnedFromBoundary) await recordRevision(req, listing, 'update', { before });
+
+        res.json({ success: true, message: 'Boundary removed' });
+    } catch (err) {
+        console.error('❌ Boundary removal failed:', err);
+        res.status(500).json({ success: false, message: 'Failed to remove boundary' });
+    }
+};
+
+// @desc    Every pair of active listings whose boundaries overlap
+// @route   GET /api/listings/boundaries/overlaps
+// @access  Private (listings:update)
+exports.listBoundaryOverlaps = async (req, res) => {
+    try {
+        const listings = await LandListing.find({
+            deletedAt: null,
+            status: { $in: ['available', 'reserved'] },
+            boundary: { $exists: true }
+        }).select('title slug boundary.geometry');
+
+        const seen = new Set();
+        const data = [];
+
+        for (const listing of listings) {
+            const overlaps = await findBoundaryOverlaps(LandListing, listing.boundary.geometry, listing._id);
+            for (const overlap of overlaps) {
+                const pairKey = [String(listing._id), String(overlap.listing)].sort().join(':');
+                if (seen.has(pairKey)) continue;
+                seen.add(pairKey);
+                data.push({
+                    listing: { _id: listing._id, title: listing.title, slug: listing.slug },
+                    overlapsWith: { _id: overlap.listing, title: overlap.title, slug: overlap.slug },
+                    overlapSqm: overlap.overlapSqm
+                });
+            }
+        }
+
+        res.json({ success: true, data, checked: listings.length });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
@@ -0,0 +1,130 @@
+const LandListing = require('../models/LandListing');
+const {
+    parseBulkAction,
+    buildBulkTarget,
+    applyBulkAction,
+    MAX_BULK_ITEMS
+} = require('../utils/bulkActions');
+const { hasPermission, canModifyListing } = require('../middleware/permissions');
+const { sendAuthError } = require('../middleware/authMiddleware');
+const { diffListing, recordListingUpdate, recordListingDelete } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/revisions');
+const { trackPriceChange } = require('../utils/priceHistory');
+const { moveToTrash } = require('../utils/trash');
+
+// Fields each action writes that need 'listings:pricing'
+const PRICING_ACTIONS = {
+    status: ['status'],
+    price: ['price', 'priceNum']
+};
+
+// One listing's outcome; failures never stop the rest of the batch
+const applyToListing = async (req, listing, { action, params }) => {
+    const result = { id: listing._id, title: listing.title };
+
+    if (listing.deletedAt) {
+        return { ...result, success: false, error: 'Listing is in the trash' };
+    }
+    if (!canModifyListing(req.admin, listing)) {
+        return { ...result, success: false, error: 'You can only edit listings you created' };
+    }
+
+    try {
+        const before = listing.toObject();
+
+        if (action === 'delete') {
+            moveToTrash(listing, req.admin);
+            await listing.save();
+            await recordListingDelete(req, listing);
+            return { ...result, success: true, changed: true, purgeAfter: listing.purgeAfter };
+        }
+
+        const error = applyBulkAction(listing, action, params);
+        if (error) return { ...result, success: false, error };
+
+        const changes = diffListing(before, listing.toObject());
+        if (!changes.length) return { ...result, success: true, changed: false };
+
+        if (action === 'price') trackPriceChange(listing, before.priceNum, req.admin);
+        await listing.save();
+        await recordListingUpdate(req, before, listing);
+        await recordRevision(req, listing, 'update', { before });
+        return { ...result, success: true, changed: true, changes };
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return { ...result, success: false, error: Object.values(err.errors).map(e => e.message).join('; ') };
+        }
+        console.error(`❌ Bulk ${action} failed for ${listing._id}:`, err);
+        return { ...result, success: false, error: err.message };
+    }
+};
+
+// @desc    Apply one action to many listings, selected by ids or by list filters
+// @route   POST /api/listings/bulk
+//          { action: 'status', status, ids | filter }
+//          { action: 'price', price: { mode: 'absolute' | 'percent', value }, ids | filter }
+//          { action: 'add-amenities' | 'remove-amenities', amenities, ids | filter }
+//          { action: 'delete', ids | filter }
+// @access  Private (listings:update, or listings:delete for delete; agents only their own)
+exports.bulkUpdateListings = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const parsed = parseBulkAction(body);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+        const target = buildBulkTarget(body);
+        if (target.error) {
+            return res.status(400).json({ success: false, message: target.error });
+        }
+
+        const permission = parsed.action === 'delete' ? 'listings:delete' : 'listings:update';
+        if (!hasPermission(req.admin, permission)) {
+            return sendAuthError(res, 403, `Your role (${req.admin.role}) is not allowed to perform this action`, 'FORBIDDEN');
+        }
+        const pricingFields = PRICING_ACTIONS[parsed.action];
+        if (pricingFields && !hasPermission(req.admin, 'listings:pricing')) {
+            return sendAuthError(res, 403, `Your role (${req.admin.role}) cannot change: ${pricingFields.join(', ')}`, 'FORBIDDEN_FIELDS');
+        }
+
+        const listings = await LandListing.find(target.query).limit(MAX_BULK_ITEMS + 1);
+        if (listings.length > MAX_BULK_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `More than ${MAX_BULK_ITEMS} listings match. Narrow the filter`
+            });
+        }
+
+        const results = [];
+        for (const listing of listings) {
+            results.push(await applyToListing(req, listing, parsed));
+        }
+        // Report requested ids that do not exist, in the order they were sent
+        if (target.ids) {
+            const found = new Set(listings.map(listing => String(listing._id)));
+            target.ids.filter(id => !found.has(id)).forEach(id => {
+                results.push({ id, success: false, error: 'Listing not found' });
+            });
+        }
+
+        const summary = {
+            matched: results.length,
+            succeeded: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success).length,
+            unchanged: results.filter(r => r.success && !r.changed).length
+        };
+
+        console.log(`📦 Bulk ${parsed.action}: ${summary.succeeded}/${summary.matched} listings`);
+        res.json({
+            success: true,
+            message: `${summary.succeeded} of ${summary.matched} listings processed` +
+                (summary.failed ? `, ${summary.failed} failed` : ''),
+            action: parsed.action,
+            summary,
+            results
+        });
+    } catch (err) {
+        console.error('❌ Bulk action failed:', err);
+        res.status(500).json({ success: false, message: 'Bulk action failed', error: err.message });
+    }
+};
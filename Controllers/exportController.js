@@ -0,0 +1,58 @@
+const LandListing = require('../models/LandListing');
+const { buildListingQuery } = require('../utils/listingQuery');
+const { visibilityFilter } = require('../utils/publication');
+const {
+    toCsv,
+    toXlsx,
+    toJsonExport,
+    exportFilename,
+    EXPORT_FORMATS,
+    MAX_EXPORT_ROWS
+} = require('../utils/listingExport');
+
+// @desc    Download listings matching the /api/listings filters (no paging)
+// @route   GET /api/listings/export?format=csv|xlsx|json&type=&status=&location=...
+// @access  Private (any admin)
+exports.exportListings = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        const { filter, sort, errors } = buildListingQuery(req.query);
+        if (!EXPORT_FORMATS[format]) {
+            errors.push(`Invalid format: ${format}. Allowed: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        const visibility = visibilityFilter(req);
+        if (visibility.error) errors.push(visibility.error);
+        if (errors.length) {
+            return res.status(400).json({ success: false, message: 'Invalid export filters', errors });
+        }
+        Object.assign(filter, visibility.filter);
+
+        const total = await LandListing.countDocuments(filter);
+        if (total > MAX_EXPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `${total} listings match. Narrow the filters to export at most ${MAX_EXPORT_ROWS}`
+            });
+        }
+
+        // CSV/XLSX leave out the bulky boundary polygon; JSON keeps everything
+        const query = LandListing.find(filter).sort(sort).lean();
+        if (format !== 'json') query.select('-boundary.geometry -priceHistory -publicationHistory');
+        const listings = await query;
+
+        let body;
+        if (format === 'csv') body = toCsv(listings);
+        else if (format === 'xlsx') body = await toXlsx(listings);
+        else body = toJsonExport(listings, req.query);
+
+        console.log(`📤 Exported ${listings.length} listings as ${format.toUpperCase()}`);
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${exportFilename(format)}"`
+        });
+        res.send(Buffer.isBuffer(body) ? body : Buffer.from(body));
+    } catch (err) {
+        console.error('❌ Listing export failed:', err);
+        res.status(500).json({ success: false, message: 'Export failed', error: err.message });
+    }
+};
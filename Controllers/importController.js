@@ -0,0 +1,98 @@
+const {
+    readSpreadsheet,
+    resolveColumns,
+    validateRows,
+    insertListings,
+    summarize
+} = require('../utils/listingImport');
+const { recordListingCreate } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/revisions');
+
+// @desc    Import listings from a CSV/XLSX sheet or JSON export. Dry run (validation report only)
+//          unless ?commit=true, which saves every valid row as a draft in one insert.
+// @route   POST /api/listings/import?commit=true (multipart "file", optional "mapping" JSON)
+// @access  Private (listings:create)
+exports.importListings = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach a CSV, XLSX or JSON export file in the "file" field'
+            });
+        }
+
+        let mapping = {};
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch (error) {
+                mapping = null;
+            }
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'mapping must be a JSON object of column header to listing field'
+                });
+            }
+        }
+
+        const sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+        if (sheet.error) {
+            return res.status(400).json({ success: false, message: sheet.error });
+        }
+
+        const { columns, unmapped, errors } = resolveColumns(sheet.headers, mapping);
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Columns could not be mapped to listing fields',
+                errors,
+                columns,
+                unmapped
+            });
+        }
+
+        const { report, listings } = await validateRows(sheet.rows, columns, req.admin);
+        const summary = summarize(report);
+        const commit = req.query.commit === 'true';
+
+        if (!commit || !listings.length) {
+            return res.json({
+                success: true,
+                dryRun: !commit,
+                message: commit
+                    ? 'No valid rows to import'
+                    : `${summary.validRows} of ${summary.totalRows} rows are valid. Re-send with ?commit=true to import them`,
+                summary,
+                columns,
+                unmapped,
+                rows: report
+            });
+        }
+
+        const saved = await insertListings(listings);
+        report.filter(row => row.valid).forEach((row, i) => {
+            row.id = saved[i]._id;
+            row.slug = saved[i].slug;
+        });
+        for (const listing of saved) {
+            await recordListingCreate(req, listing);
+            await recordRevision(req, listing, 'create');
+        }
+
+        console.log(`📥 Imported ${saved.length} listings from ${req.file.originalname} (${summary.invalidRows} rows skipped)`);
+        res.status(201).json({
+            success: true,
+            dryRun: false,
+            message: `Imported ${saved.length} listings as drafts` +
+                (summary.invalidRows ? `, skipped ${summary.invalidRows} invalid rows` : ''),
+            summary,
+            columns,
+            unmapped,
+            rows: report
+        });
+    } catch (err) {
+        console.error('❌ Listing import failed:', err);
+        res.status(500).json({ success: false, message: 'Import failed', error: err.message });
+    }
+};
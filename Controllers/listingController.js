@@ -0,0 +1,445 @@
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const LandListing = require('../models/LandListing');
+const { recordListingCreate, recordListingUpdate, recordListingDelete } = require('../utils/auditLog');
+const { buildListingQuery } = require('../utils/listingQuery');
+const { buildHighlights } = require('../utils/searchHighlight');
+const { computePricePerAcre } = require('../utils/plotSize');
+const { coordinatesFromBody, isValidLatLng, toGeoPoint, MAX_RADIUS_KM } = require('../utils/geo');
+const { visibilityFilter, isPubliclyVisible, canViewUnpublished } = require('../utils/publication');
+const { moveToTrash } = require('../utils/trash');
+const { recordRevision } = require('../utils/revisions');
+const { parseList } = require('../utils/lists');
+const { isOperatorKey } = require('../middleware/permissions');
+const {
+    priceChangeEntry,
+    reducedAtAfter,
+    withPriceReduction,
+    publicPriceHistory
+} = require('../utils/priceHistory');
+
+const DEFAULT_WHATSAPP = '254704564880';
+const LIST_FIELDS = ['amenities', 'verificationChecklist', 'documentsAvailable'];
+
+// Never written through PATCH/PUT; each has its own endpoint or is maintained by the model
+const PROTECTED_FIELDS = [
+    '_id', '__v', 'createdAt', 'createdBy',
+    // Slugs follow the title; history is only written by the model
+    'slug', 'slugHistory',
+    // Publication state only changes through submit/approve/reject/archive
+    'publicationStatus', 'publicationHistory', 'reviewComment', 'publishAt', 'expiresAt',
+    // Price history is appended below, never written directly
+    'priceHistory', 'priceReducedAt',
+    // Trash state only changes through delete/restore
+    'deletedAt', 'deletedBy', 'purgeAfter',
+    // Boundaries and subdivision plots have their own endpoints
+    'boundary', 'plots',
+    // Follows the images array
+    'cloudinaryPublicIds'
+];
+
+const toList = (value) => (Array.isArray(value) ? value : parseList(String(value || '')));
+
+const invalidFilters = (res, errors) => res.status(400).json({
+    success: false,
+    message: 'Invalid listing filters',
+    errors
+});
+
+// Filters shared by list, search and near: query params plus publication visibility
+const listingFilters = (req) => {
+    const query = buildListingQuery(req.query);
+    const visibility = visibilityFilter(req);
+    if (visibility.error) query.errors.push(visibility.error);
+    Object.assign(query.filter, visibility.filter);
+    return query;
+};
+
+// Detail payload: full price history, without who changed it for the public
+const listingDetail = (req, listing) => {
+    const json = listing.toJSON();
+    if (!canViewUnpublished(req)) json.priceHistory = publicPriceHistory(json.priceHistory);
+    return json;
+};
+
+// Uploads from processUploadedImages are orphaned when the write fails
+const discardUploads = (files = []) => Promise.all(files.map(file =>
+    cloudinary.uploader.destroy(file.publicId)
+        .catch(err => console.warn(`⚠️ Failed to clean up Cloudinary image ${file.publicId}:`, err.message))
+));
+
+// @desc    Listings with filters, sorting and pagination
+// @route   GET /api/listings?type=&status=&location=&minPrice=&reduced=true&sort=&page=&limit=
+// @access  Public (unpublished listings: admins only)
+exports.getListings = async (req, res) => {
+    const { filter, sort, page, limit, reducedDays, errors } = listingFilters(req);
+    if (errors.length) return invalidFilters(res, errors);
+
+    const [listings, total] = await Promise.all([
+        LandListing.find(filter)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v -boundary.geometry'),
+        LandListing.countDocuments(filter)
+    ]);
+
+    console.log(`✅ Found ${listings.length} of ${total} listings (page ${page})`);
+    res.json({
+        success: true,
+        data: listings.map(listing => withPriceReduction(listing.toJSON(), reducedDays)),
+        meta: { total, page, pages: Math.ceil(total / limit), limit }
+    });
+};
+
+// @desc    Full-text search ranked by relevance, with highlights
+// @route   GET /api/listings/search?q= (accepts the same filters as /api/listings)
+// @access  Public
+exports.searchListings = async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+        return res.status(400).json({ success: false, message: 'Search query (q) is required' });
+    }
+    if (q.length > 200) {
+        return res.status(400).json({ success: false, message: 'Search query cannot exceed 200 characters' });
+    }
+
+    const { filter, page, limit, errors } = listingFilters(req);
+    if (errors.length) return invalidFilters(res, errors);
+    filter.$text = { $search: q };
+
+    const [listings, total] = await Promise.all([
+        LandListing.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v -boundary.geometry')
+            .lean(),
+        LandListing.countDocuments(filter)
+    ]);
+
+    const data = listings.map(listing => ({
+        ...withPriceReduction(listing),
+        pricePerAcre: computePricePerAcre(listing.priceNum, listing.plotArea && listing.plotArea.acres),
+        highlights: buildHighlights(listing, q)
+    }));
+
+    console.log(`🔎 Search "${q}": ${total} matches`);
+    res.json({
+        success: true,
+        data,
+        meta: { total, page, pages: Math.ceil(total / limit), limit, query: q }
+    });
+};
+
+// @desc    Listings within radiusKm of a point, nearest first
+// @route   GET /api/listings/near?lat=&lng=&radiusKm= (accepts the same filters as /api/listings)
+// @access  Public
+exports.getNearbyListings = async (req, res) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    const radiusKm = req.query.radiusKm === undefined ? 10 : Number(req.query.radiusKm);
+
+    if (!isValidLatLng(lat, lng)) {
+        return res.status(400).json({ success: false, message: 'Valid lat and lng query parameters are required' });
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return res.status(400).json({ success: false, message: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` });
+    }
+
+    const { filter, page, limit, errors } = listingFilters(req);
+    if (errors.length) return invalidFilters(res, errors);
+
+    const [listings, total] = await Promise.all([
+        LandListing.aggregate([
+            {
+                $geoNear: {
+                    near: toGeoPoint(lat, lng),
+                    key: 'geo',
+                    distanceField: 'distanceMeters',
+                    maxDistance: radiusKm * 1000,
+                    spherical: true,
+                    query: filter
+                }
+            },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { __v: 0, 'boundary.geometry': 0 } }
+        ]),
+        LandListing.countDocuments({
+            ...filter,
+            geo: { $geoWithin: { $centerSphere: [[lng, lat], radiusKm / 6378.1] } }
+        })
+    ]);
+
+    const data = listings.map(listing => ({
+        ...withPriceReduction(listing),
+        distanceKm: Math.round(listing.distanceMeters / 10) / 100,
+        pricePerAcre: computePricePerAcre(listing.priceNum, listing.plotArea && listing.plotArea.acres)
+    }));
+
+    console.log(`📍 Near ${lat},${lng} (${radiusKm}km): ${total} listings`);
+    res.json({
+        success: true,
+        data,
+        meta: { total, page, pages: Math.ceil(total / limit), limit, radiusKm }
+    });
+};
+
+// @desc    Single listing by slug; old slugs 301 to the current one
+// @route   GET /api/listings/by-slug/:slug
+// @access  Public (unpublished listings: admins only)
+exports.getListingBySlug = async (req, res) => {
+    const slug = String(req.params.slug).toLowerCase();
+    const listing = await LandListing.findOne({ slug }).select('-__v');
+
+    if (listing && (canViewUnpublished(req) || isPubliclyVisible(listing))) {
+        return res.json(listingDetail(req, listing));
+    }
+
+    const renamed = await LandListing.findOne({ slugHistory: slug }).select('slug');
+    if (renamed && renamed.slug) {
+        return res.redirect(301, `/api/listings/by-slug/${encodeURIComponent(renamed.slug)}`);
+    }
+
+    res.status(404).json({ success: false, message: 'Listing not found' });
+};
+
+// @desc    Single listing with price history
+// @route   GET /api/listings/:id
+// @access  Public (unpublished listings: admins only)
+exports.getListingById = async (req, res) => {
+    const listing = await LandListing.findById(req.params.id).select('-__v');
+
+    // Drafts and scheduled/expired listings look missing to the public
+    if (!listing || (!canViewUnpublished(req) && !isPubliclyVisible(listing))) {
+        return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+
+    res.json(listingDetail(req, listing));
+};
+
+// @desc    Create a listing as a draft, with images uploaded to Cloudinary
+// @route   POST /api/listings/add (multipart: fields + images)
+// @access  Private (listings:create)
+exports.addListing = async (req, res) => {
+    const uploads = req.processedFiles || [];
+
+    // Explicit coordinates; otherwise the model reads them from mapLink
+    const coords = coordinatesFromBody(req.body);
+    if (coords.error) {
+        await discardUploads(uploads);
+        return res.status(400).json({ success: false, message: coords.error });
+    }
+
+    const listingData = {
+        title: req.body.title,
+        location: req.body.location,
+        type: req.body.type,
+        status: req.body.status || 'available',
+        price: req.body.price || `KES ${parseInt(req.body.priceNum || 0).toLocaleString()}`,
+        priceNum: parseFloat(req.body.priceNum) || 0,
+        plotSize: req.body.plotSize || '',
+        titleType: req.body.titleType || '',
+        description: req.body.description || '',
+        whatsapp: req.body.whatsapp || DEFAULT_WHATSAPP,
+        images: uploads.map(file => file.url),
+        cloudinaryPublicIds: uploads.map(file => file.publicId),
+        mapLink: req.body.mapLink || '',
+        createdBy: req.admin._id
+    };
+    LIST_FIELDS.forEach(field => {
+        listingData[field] = toList(req.body[field]);
+    });
+    if (coords.point) listingData.geo = coords.point;
+
+    const listing = new LandListing(listingData);
+    const openingPrice = priceChangeEntry(null, listing.priceNum, req.admin);
+    if (openingPrice) listing.priceHistory.push(openingPrice);
+
+    try {
+        await listing.save();
+    } catch (error) {
+        await discardUploads(uploads);
+        throw error;
+    }
+
+    await recordListingCreate(req, listing);
+    await recordRevision(req, listing, 'create');
+    console.log(`✅ Listing created: ${listing.title} (ID: ${listing._id})`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Listing saved as a draft. Submit it for review to publish it.',
+        listing
+    });
+};
+
+// @desc    Update listing fields; new images are appended, `images` keeps/reorders existing ones
+// @route   PATCH|PUT /api/listings/:id (JSON, or multipart: fields or a JSON "data" part + images)
+// @access  Private (listings:update, agents only their own; prices/status need listings:pricing)
+exports.updateListing = async (req, res) => {
+    const before = req.listing;
+    const uploads = req.processedFiles || [];
+
+    // Operators would write around PROTECTED_FIELDS and the pricing check
+    const operatorKeys = Object.keys(req.body).filter(isOperatorKey);
+    if (operatorKeys.length) {
+        await discardUploads(uploads);
+        return res.status(400).json({
+            success: false,
+            message: `Unsupported update keys: ${operatorKeys.join(', ')}`
+        });
+    }
+
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+    updates.updatedAt = Date.now();
+
+    const coords = coordinatesFromBody(updates);
+    if (coords.error) {
+        await discardUploads(uploads);
+        return res.status(400).json({ success: false, message: coords.error });
+    }
+    ['latitude', 'longitude', 'lat', 'lng'].forEach(field => delete updates[field]);
+    if (coords.point) updates.geo = coords.point;
+
+    LIST_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) updates[field] = toList(updates[field]);
+    });
+
+    // Images dropped from `images` lose their Cloudinary copy once the update is saved
+    let removedPublicIds = [];
+    if (updates.images !== undefined || uploads.length) {
+        const kept = updates.images !== undefined ? toList(updates.images) : before.images;
+        const keptPublicIds = before.cloudinaryPublicIds.filter(publicId => kept.some(url => url.includes(publicId)));
+        removedPublicIds = before.cloudinaryPublicIds.filter(publicId => !keptPublicIds.includes(publicId));
+        updates.images = [...kept, ...uploads.map(file => file.url)];
+        updates.cloudinaryPublicIds = [...keptPublicIds, ...uploads.map(file => file.publicId)];
+    }
+
+    if (updates.priceNum !== undefined) {
+        const priceChange = priceChangeEntry(before.priceNum, updates.priceNum, req.admin);
+        if (priceChange) {
+            updates.$push = { priceHistory: priceChange };
+            updates.priceReducedAt = reducedAtAfter(priceChange, before.priceReducedAt);
+        }
+    }
+
+    let listing;
+    try {
+        listing = await LandListing.findByIdAndUpdate(
+            req.params.id,
+            updates,
+            { new: true, runValidators: true }
+        ).select('-__v');
+    } catch (error) {
+        await discardUploads(uploads);
+        throw error;
+    }
+
+    await recordListingUpdate(req, before, listing);
+    await recordRevision(req, listing, 'update', { before });
+    await discardUploads(removedPublicIds.map(publicId => ({ publicId })));
+
+    console.log(`✅ Listing updated: ${listing.title}${uploads.length ? ` (+${uploads.length} images)` : ''}`);
+    res.json({
+        success: true,
+        message: 'Listing updated successfully',
+        listing
+    });
+};
+
+// @desc    Remove one image from a listing and from Cloudinary
+// @route   DELETE /api/listings/:id/image  { publicId }
+// @access  Private (listings:update, agents only their own)
+exports.deleteImage = async (req, res) => {
+    const listing = req.listing;
+    const { publicId } = req.body;
+    const before = listing.toObject();
+
+    const images = listing.images.filter(url => !url.includes(publicId));
+    if (images.length === listing.images.length && !listing.cloudinaryPublicIds.includes(publicId)) {
+        return res.status(404).json({ success: false, message: 'Image not found on this listing' });
+    }
+
+    const result = await cloudinary.uploader.destroy(publicId);
+    if (result.result !== 'ok') {
+        console.warn(`⚠️ Cloudinary deletion of ${publicId} returned: ${result.result}`);
+    }
+
+    listing.images = images;
+    listing.cloudinaryPublicIds = listing.cloudinaryPublicIds.filter(id => id !== publicId);
+    await listing.save();
+    await recordListingUpdate(req, before, listing);
+    await recordRevision(req, listing, 'update', { before });
+
+    console.log(`🗑️ Deleted image ${publicId} from listing ${listing._id}`);
+    res.json({
+        success: true,
+        message: 'Image deleted',
+        data: {
+            images: listing.images,
+            cloudinaryPublicIds: listing.cloudinaryPublicIds
+        }
+    });
+};
+
+// @desc    Move a listing to the trash (purged with its images after the retention period)
+// @route   DELETE /api/listings/:id
+// @access  Private (listings:delete)
+exports.deleteListing = async (req, res) => {
+    const listing = await LandListing.findById(req.params.id);
+    if (!listing || listing.deletedAt) {
+        return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+
+    moveToTrash(listing, req.admin);
+    await listing.save();
+    await recordListingDelete(req, listing);
+
+    console.log(`✅ Listing moved to trash: ${listing.title}`);
+    res.json({
+        success: true,
+        message: `Listing moved to trash. It can be restored until ${listing.purgeAfter.toISOString().slice(0, 10)}`,
+        purgeAfter: listing.purgeAfter
+    });
+};
+
+// @desc    Listing counts and Cloudinary usage for troubleshooting
+// @route   GET /api/listings/debug/info
+// @access  Private (maintenance:run)
+exports.debugInfo = async (req, res) => {
+    const [listingCount, trashedCount] = await Promise.all([
+        LandListing.countDocuments({ deletedAt: null }),
+        LandListing.countDocuments({ deletedAt: { $ne: null } })
+    ]);
+
+    let cloudinaryInfo;
+    try {
+        const resources = await cloudinary.api.resources({
+            type: 'upload',
+            prefix: 'unipro/listings',
+            max_results: 1
+        });
+        cloudinaryInfo = {
+            totalResources: resources.total_count,
+            rateLimitUsed: resources.rate_limit_allowed - resources.rate_limit_remaining,
+            rateLimitAllowed: resources.rate_limit_allowed
+        };
+    } catch (cloudinaryErr) {
+        cloudinaryInfo = { error: cloudinaryErr.message };
+    }
+
+    res.json({
+        success: true,
+        debug: {
+            listingCount,
+            trashedCount,
+            cloudinary: cloudinaryInfo,
+            nodeEnv: process.env.NODE_ENV,
+            mongoConnected: mongoose.connection.readyState === 1,
+            cloudinaryConfigured: !!process.env.CLOUDINARY_CLOUD_NAME
+        }
+    });
+};
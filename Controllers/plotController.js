@@ -0,0 +1,204 @@
+const LandListing = require('../models/LandListing');
+const { canViewUnpublished, isPubliclyVisible } = require('../utils/publication');
+const { blockedFieldChanges } = require('../middleware/permissions');
+const { sendAuthError } = require('../middleware/authMiddleware');
+const { recordListingUpdate } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/revisions');
+
+const MAX_PLOTS = parseInt(process.env.SUBDIVISION_MAX_PLOTS, 10) || 1000;
+const PLOT_FIELDS = ['number', 'plotSize', 'price', 'priceNum', 'status'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Only the editable plot fields that were sent
+const pickPlotFields = (input = {}) => {
+    const fields = {};
+    PLOT_FIELDS.forEach(field => {
+        if (input[field] === undefined) return;
+        fields[field] = field === 'priceNum' ? Number(input[field]) : String(input[field]).trim();
+    });
+    return fields;
+};
+
+// Numbers (ignoring case) that repeat within `plots` or are already used by `existing`
+const duplicatePlotNumbers = (existing, plots) => {
+    const taken = new Set(existing.map(plot => String(plot.number).toLowerCase()));
+    const duplicates = [];
+    plots.forEach(({ number }) => {
+        if (!number) return;
+        const key = number.toLowerCase();
+        if (taken.has(key)) duplicates.push(number);
+        taken.add(key);
+    });
+    return duplicates;
+};
+
+const rejectDuplicateNumbers = (res, existing, plots) => {
+    const duplicates = duplicatePlotNumbers(existing, plots);
+    if (duplicates.length === 0) return false;
+    res.status(400).json({
+        success: false,
+        message: `Plot numbers must be unique within a subdivision. Already used: ${duplicates.join(', ')}`,
+        duplicates
+    });
+    return true;
+};
+
+const sendValidationError = (res, err) => res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: Object.values(err.errors).map(e => e.message)
+});
+
+// Saves the parent listing and records the change like any other edit
+const saveWithHistory = async (req, listing, before) => {
+    await listing.save();
+    await recordListingUpdate(req, before, listing);
+    await recordRevision(req, listing, 'update', { before });
+};
+
+const rejectBlockedPricing = (req, res, current, fields) => {
+    const blocked = blockedFieldChanges(req.admin, current, fields);
+    if (blocked.length === 0) return false;
+    sendAuthError(res, 403, `Your role (${req.admin.role}) cannot change: ${blocked.join(', ')}`, 'FORBIDDEN_FIELDS');
+    return true;
+};
+
+// @desc    Plots of a subdivision with the availability summary
+// @route   GET /api/listings/:id/plots?status=available
+// @access  Public (unpublished subdivisions: admins only)
+exports.listPlots = async (req, res) => {
+    try {
+        const listing = await LandListing.findById(req.params.id).select('title slug type plots deletedAt publicationStatus publishAt expiresAt');
+        if (!listing || (!canViewUnpublished(req) && !isPubliclyVisible(listing))) {
+            return res.status(404).json({ success: false, message: 'Listing not found' });
+        }
+
+        const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+        if (status && !LandListing.PLOT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status: ${status}. Allowed: ${LandListing.PLOT_STATUSES.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: status ? listing.plots.filter(plot => plot.status === status) : listing.plots,
+            summary: listing.plotSummary
+        });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid listing ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Add one plot ({ number, plotSize, priceNum, status }) or many ({ plots: [...] })
+// @route   POST /api/listings/:id/plots
+// @access  Private (listings:update, agents only their own; prices/status need listings:pricing)
+exports.addPlots = async (req, res) => {
+    try {
+        const listing = req.listing;
+        if (listing.type !== 'subdivision-ready') {
+            return res.status(400).json({ success: false, message: 'Only subdivision-ready listings can have plots' });
+        }
+
+        const input = Array.isArray(req.body.plots) ? req.body.plots : [req.body];
+        if (!input.every(isPlainObject)) {
+            return res.status(400).json({ success: false, message: 'Each plot must be an object' });
+        }
+        const plots = input.map(pickPlotFields);
+        if (listing.plots.length + plots.length > MAX_PLOTS) {
+            return res.status(400).json({ success: false, message: `A subdivision can have at most ${MAX_PLOTS} plots` });
+        }
+        if (rejectDuplicateNumbers(res, listing.plots, plots)) return;
+        for (const plot of plots) {
+            if (rejectBlockedPricing(req, res, {}, plot)) return;
+        }
+
+        const before = listing.toObject();
+        plots.forEach(plot => listing.plots.push(plot));
+        await saveWithHistory(req, listing, before);
+
+        console.log(`🧩 Added ${plots.length} plots to ${listing.title}`);
+        res.status(201).json({
+            success: true,
+            message: `Added ${plots.length} plot(s). ${listing.plotSummary.label}`,
+            data: listing.plots.slice(-plots.length),
+            summary: listing.plotSummary
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return sendValidationError(res, err);
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Update a plot's number, size, price or status
+// @route   PATCH /api/listings/:id/plots/:plotId
+// @access  Private (listings:update, agents only their own; prices/status need listings:pricing)
+exports.updatePlot = async (req, res) => {
+    try {
+        const listing = req.listing;
+        const plot = listing.plots.id(req.params.plotId);
+        if (!plot) {
+            return res.status(404).json({ success: false, message: 'Plot not found' });
+        }
+
+        if (!isPlainObject(req.body)) {
+            return res.status(400).json({ success: false, message: 'Plot changes must be an object' });
+        }
+        const fields = pickPlotFields(req.body);
+        const otherPlots = listing.plots.filter(other => !other._id.equals(plot._id));
+        if (rejectDuplicateNumbers(res, otherPlots, [fields])) return;
+        if (rejectBlockedPricing(req, res, plot, fields)) return;
+
+        const before = listing.toObject();
+        // A new priceNum without a display price gets a fresh one
+        if (fields.priceNum !== undefined && fields.price === undefined) fields.price = '';
+        plot.set({ ...fields, updatedAt: Date.now() });
+        await saveWithHistory(req, listing, before);
+
+        console.log(`🧩 Plot ${plot.number} of ${listing.title} updated (${plot.status})`);
+        res.json({
+            success: true,
+            message: `Plot ${plot.number} updated. ${listing.plotSummary.label}`,
+            data: plot,
+            summary: listing.plotSummary
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') return sendValidationError(res, err);
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Remove a plot from a subdivision
+// @route   DELETE /api/listings/:id/plots/:plotId
+// @access  Private (listings:update, agents only their own)
+exports.removePlot = async (req, res) => {
+    try {
+        const listing = req.listing;
+        const plot = listing.plots.id(req.params.plotId);
+        if (!plot) {
+            return res.status(404).json({ success: false, message: 'Plot not found' });
+        }
+
+        const before = listing.toObject();
+        plot.deleteOne();
+        await saveWithHistory(req, listing, before);
+
+        console.log(`🧩 Plot ${plot.number} removed from ${listing.title}`);
+        res.json({
+            success: true,
+            message: `Plot ${plot.number} removed`,
+            summary: listing.plotSummary
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
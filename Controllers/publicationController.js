@@ -0,0 +1,86 @@
+const LandListing = require('../models/LandListing');
+const { applyTransition } = require('../utils/publication');
+const { recordListingUpdate } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/revisions');
+
+// Shared handler for submit/approve/reject/archive
+const transition = (name, { requireComment = false } = {}) => async (req, res) => {
+    try {
+        const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : undefined;
+        if (requireComment && !comment) {
+            return res.status(400).json({ success: false, message: 'A comment is required' });
+        }
+
+        const listing = req.listing || await LandListing.findById(req.params.id);
+        if (!listing) {
+            return res.status(404).json({ success: false, message: 'Listing not found' });
+        }
+        if (listing.deletedAt) {
+            return res.status(409).json({ success: false, message: 'Listing is in the trash. Restore it before making changes' });
+        }
+
+        const before = listing.toObject();
+        const error = applyTransition(listing, name, {
+            admin: req.admin,
+            comment,
+            publishAt: req.body.publishAt,
+            expiresAt: req.body.expiresAt
+        });
+        if (error) {
+            return res.status(409).json({ success: false, message: error });
+        }
+
+        await listing.save();
+        await recordListingUpdate(req, before, listing);
+        await recordRevision(req, listing, 'update', { before });
+
+        console.log(`📝 Listing ${name}: ${listing.title} -> ${listing.publicationStatus}`);
+        res.json({
+            success: true,
+            message: `Listing is now ${listing.publicationStatus}`,
+            listing
+        });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid listing ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Send a draft (or archived listing) for review
+// @route   POST /api/listings/:id/submit  { publishAt?, expiresAt? }
+// @access  Private (listings:update, agents only their own)
+exports.submitForReview = transition('submit');
+
+// @desc    Approve a listing in review; publishAt in the future schedules it
+// @route   POST /api/listings/:id/approve  { comment?, publishAt?, expiresAt? }
+// @access  Owner
+exports.approveListing = transition('approve');
+
+// @desc    Send a listing back to draft with the reviewer's comment
+// @route   POST /api/listings/:id/reject  { comment }
+// @access  Owner
+exports.rejectListing = transition('reject', { requireComment: true });
+
+// @desc    Take a published listing off the site
+// @route   POST /api/listings/:id/archive  { comment? }
+// @access  Owner
+exports.archiveListing = transition('archive');
+
+// @desc    Listings waiting for review, oldest first
+// @route   GET /api/listings/review-queue
+// @access  Owner
+exports.listReviewQueue = async (req, res) => {
+    try {
+        const listings = await LandListing.find({ publicationStatus: 'review', deletedAt: null })
+            .sort({ updatedAt: 1 })
+            .select('-__v -boundary.geometry')
+            .populate('createdBy', 'username');
+        res.json({ success: true, data: listings });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
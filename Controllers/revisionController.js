@@ -0,0 +1,102 @@
+const ListingRevision = require('../models/ListingRevision');
+const { diffListing, recordListingUpdate } = require('../utils/auditLog');
+const { recordRevision, applySnapshot, REVERTABLE_FIELDS } = require('../utils/revisions');
+const { trackPriceChange } = require('../utils/priceHistory');
+const { blockedFieldChanges } = require('../middleware/permissions');
+const { sendAuthError } = require('../middleware/authMiddleware');
+
+// @desc    Revision history of a listing, newest first, each with its field-level diff
+// @route   GET /api/listings/:id/revisions?page=&limit=
+// @access  Private (listings:update, agents only their own)
+exports.listRevisions = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const query = { listing: req.listing._id };
+
+        // One extra revision so the oldest on the page can be diffed too
+        const [revisions, total] = await Promise.all([
+            ListingRevision.find(query)
+                .sort({ rev: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit + 1)
+                .lean(),
+            ListingRevision.countDocuments(query)
+        ]);
+
+        const data = revisions.slice(0, limit).map((revision, i) => {
+            const previous = revisions[i + 1];
+            return {
+                rev: revision.rev,
+                action: revision.action,
+                revertedFrom: revision.revertedFrom,
+                actorUsername: revision.actorUsername,
+                createdAt: revision.createdAt,
+                changes: previous || revision.action === 'create'
+                    ? diffListing(previous ? previous.snapshot : {}, revision.snapshot)
+                    : []
+            };
+        });
+
+        res.json({
+            success: true,
+            data,
+            meta: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Restore a listing's content to an earlier revision (recorded as a new revision)
+// @route   POST /api/listings/:id/revisions/:rev/revert
+// @access  Private (listings:update, agents only their own)
+exports.revertRevision = async (req, res) => {
+    try {
+        const rev = parseInt(req.params.rev, 10);
+        if (!Number.isInteger(rev) || rev < 1) {
+            return res.status(400).json({ success: false, message: 'Revision must be a positive number' });
+        }
+
+        const listing = req.listing;
+        const revision = await ListingRevision.findOne({ listing: listing._id, rev });
+        if (!revision) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        const blocked = blockedFieldChanges(req.admin, listing, revision.snapshot);
+        if (blocked.length > 0) {
+            return sendAuthError(res, 403, `Your role (${req.admin.role}) cannot change: ${blocked.join(', ')}`, 'FORBIDDEN_FIELDS');
+        }
+
+        const before = listing.toObject();
+        applySnapshot(listing, revision.snapshot);
+        if (!REVERTABLE_FIELDS.some(field => listing.isModified(field))) {
+            return res.json({ success: true, message: `Listing already matches revision ${rev}`, listing });
+        }
+        trackPriceChange(listing, before.priceNum, req.admin);
+
+        await listing.save();
+        await recordListingUpdate(req, before, listing);
+        const created = await recordRevision(req, listing, 'revert', { revertedFrom: rev });
+
+        console.log(`⏪ Listing reverted to revision ${rev}: ${listing.title}`);
+        res.json({
+            success: true,
+            message: `Listing reverted to revision ${rev}`,
+            rev: created ? created.rev : undefined,
+            listing
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: Object.values(err.errors).map(e => e.message)
+            });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
@@ -0,0 +1,58 @@
+const LandListing = require('../models/LandListing');
+const { restoreFromTrash, RETENTION_DAYS } = require('../utils/trash');
+const { recordListingRestore } = require('../utils/auditLog');
+
+// @desc    Listings in the trash, most recently deleted first
+// @route   GET /api/listings/trash?page=&limit=
+// @access  Private (listings:delete)
+exports.listTrash = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const query = { deletedAt: { $ne: null } };
+
+        const [listings, total] = await Promise.all([
+            LandListing.find(query)
+                .sort({ deletedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('title location status images deletedAt deletedBy purgeAfter')
+                .populate('deletedBy', 'username'),
+            LandListing.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: listings,
+            meta: { total, page, pages: Math.ceil(total / limit), retentionDays: RETENTION_DAYS }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// @desc    Restore a listing from the trash
+// @route   POST /api/listings/:id/restore
+// @access  Private (listings:delete)
+exports.restoreListing = async (req, res) => {
+    try {
+        const listing = await LandListing.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!listing) {
+            return res.status(404).json({ success: false, message: 'Listing not found in trash' });
+        }
+
+        restoreFromTrash(listing);
+        await listing.save();
+        await recordListingRestore(req, listing);
+
+        console.log(`♻️ Listing restored: ${listing.title}`);
+        res.json({ success: true, message: 'Listing restored', listing });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid listing ID format' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
@@ -8,19 +8,43 @@ const API_ENDPOINTS = {
     listings: `${API_BASE}/api/listings`,
     listingById: (id) => `${API_BASE}/api/listings/${id}`,
     addListing: `${API_BASE}/api/listings/add`,
+    listingBoundary: (id) => `${API_BASE}/api/listings/${id}/boundary`,
+    listingPublication: (id, action) => `${API_BASE}/api/listings/${id}/${action}`,
+    trash: `${API_BASE}/api/listings/trash`,
+    restoreListing: (id) => `${API_BASE}/api/listings/${id}/restore`,
+    bulkListings: `${API_BASE}/api/listings/bulk`,
+    login: `${API_BASE}/api/auth/login`,
+    refresh: `${API_BASE}/api/auth/refresh`,
+    logout: `${API_BASE}/api/auth/logout`,
+    login2fa: `${API_BASE}/api/auth/login/2fa`,
+    twoFactorSetup: `${API_BASE}/api/auth/2fa/setup`,
+    twoFactorEnable: `${API_BASE}/api/auth/2fa/enable`,
+    forgotPassword: `${API_BASE}/api/auth/forgot-password`,
+    resetPassword: `${API_BASE}/api/auth/reset-password`,
     health: `${API_BASE}/health`,
     apiHealth: `${API_BASE}/api/health`
 };
 
+// Session handling
+const SESSION_STORAGE_KEY = 'uniproAdminSession';
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000; // sign out after 30 minutes without activity
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
+
 // =========================
 // DOM Elements
 // =========================
+const loginMessage = document.getElementById('loginMessage');
 const loginForm = document.getElementById('loginForm');
 const loginSection = document.getElementById('loginSection');
 const adminSection = document.getElementById('adminSection');
 const propertyForm = document.getElementById('propertyForm');
 const propertiesTable = document.getElementById('propertiesTable')?.querySelector('tbody');
 const logoutBtn = document.getElementById('logoutBtn');
+const twoFactorForm = document.getElementById('twoFactorForm');
+const twoFactorSection = document.getElementById('twoFactorSection');
+const twoFactorSetupForm = document.getElementById('twoFactorSetupForm');
+const twoFactorBtn = document.getElementById('twoFactorBtn');
+const resetPasswordForm = document.getElementById('resetPasswordForm');
 const imageInput = document.getElementById('images');
 const imagePreview = document.getElementById('imagePreview');
 const existingImagesPreview = document.getElementById('existingImagesPreview');
@@ -43,9 +67,18 @@ window.PropertyAdminAPI = {
     // Get all listings (public method for other pages)
     getAllProperties: async function() {
         try {
-            const response = await this._makeRequest(API_ENDPOINTS.listings);
-            allListings = response;
-            return response.map(listing => this._processForFrontend(listing));
+            // The list endpoint is paginated; the admin table needs every listing
+            let listings = [];
+            let page = 1;
+            let pages = 1;
+            do {
+                const response = await this._makeRequest(`${API_ENDPOINTS.listings}?limit=100&page=${page}`);
+                listings = listings.concat(response.data || []);
+                pages = response.meta ? response.meta.pages : 1;
+                page++;
+            } while (page <= pages);
+            allListings = listings;
+            return listings.map(listing => this._processForFrontend(listing));
         } catch (error) {
             console.error('PropertyAdminAPI: Error fetching listings:', error);
             throw error;
@@ -72,6 +105,11 @@ window.PropertyAdminAPI = {
             description: listing.description || 'No description available',
             whatsapp: listing.whatsapp || '254727619305',
             images: Array.isArray(listing.images) ? listing.images.map(img => this._normalizeImageUrl(img)) : [],
+            // Listings from before the review workflow have no state and are live
+            publicationStatus: listing.publicationStatus || 'published',
+            publishAt: listing.publishAt || null,
+            expiresAt: listing.expiresAt || null,
+            reviewComment: listing.reviewComment || '',
             createdAt: listing.createdAt || new Date().toISOString()
         };
     },
@@ -176,7 +214,7 @@ window.PropertyAdminAPI = {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 15000);
         try {
-            const response = await fetch(url, {
+            const response = await AuthSession.authFetch(url, {
                 ...options,
                 signal: controller.signal,
                 headers: { 'Content-Type': 'application/json', ...options.headers }
@@ -206,6 +244,11 @@ const Utils = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     },
 
+    // Listing text is user input; escape it before putting it in innerHTML
+    escapeHtml: (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char])),
+
     // Simple price formatting for admin table
     formatPrice: (price) => {
         if (!price || price === 0) return 'Price on request';
@@ -236,6 +279,9 @@ const Utils = {
             description: processed.description,
             whatsapp: processed.whatsapp,
             features: processed.amenities,
+            publicationStatus: processed.publicationStatus,
+            publishAt: processed.publishAt,
+            reviewComment: processed.reviewComment,
             createdAt: processed.createdAt
         };
     },
@@ -398,6 +444,11 @@ const FormManager = {
         document.getElementById('size').value = processed.plotSize || '';
         document.getElementById('description').value = processed.description || '';
         document.getElementById('whatsapp').value = processed.whatsapp || '254727619305';
+        document.getElementById('mapLink').value = processed.mapLink || '';
+        // GeoJSON stores [longitude, latitude]
+        const coordinates = listing.geo?.coordinates || [];
+        document.getElementById('latitude').value = coordinates.length === 2 ? coordinates[1] : '';
+        document.getElementById('longitude').value = coordinates.length === 2 ? coordinates[0] : '';
         // Features
         features = processed.amenities || [];
         document.getElementById('features').value = JSON.stringify(features);
@@ -500,13 +551,79 @@ const FeaturesManager = {
 // =========================
 // Listings Table Management
 // =========================
+// =========================
+// Publication workflow (draft -> review -> published -> archived)
+// =========================
+const PublicationWorkflow = {
+    // Buttons offered per state; the API still enforces who may do what
+    ACTIONS: {
+        draft: [{ action: 'submit', label: 'Submit', icon: 'fa-paper-plane' }],
+        archived: [{ action: 'submit', label: 'Resubmit', icon: 'fa-paper-plane' }],
+        review: [
+            { action: 'approve', label: 'Approve', icon: 'fa-check' },
+            { action: 'reject', label: 'Reject', icon: 'fa-times' }
+        ],
+        published: [{ action: 'archive', label: 'Archive', icon: 'fa-archive' }]
+    },
+
+    badge: (card) => {
+        const state = card.publicationStatus;
+        const scheduled = state === 'published' && card.publishAt && new Date(card.publishAt) > new Date();
+        const label = scheduled
+            ? `Scheduled ${new Date(card.publishAt).toLocaleDateString()}`
+            : state.charAt(0).toUpperCase() + state.slice(1);
+        const title = card.reviewComment ? ` title="Reviewer: ${card.reviewComment.replace(/"/g, '&quot;')}"` : '';
+        return `<br><span class="publication-badge ${state}"${title}>${label}</span>`;
+    },
+
+    buttons: (card) => (PublicationWorkflow.ACTIONS[card.publicationStatus] || [])
+        .map(({ action, label, icon }) => `
+            <button class="btn btn-outline publication-btn" data-id="${card.id}" data-action="${action}">
+                <i class="fas ${icon}"></i> ${label}
+            </button>`)
+        .join(''),
+
+    run: async (id, action) => {
+        const body = {};
+        if (action === 'reject') {
+            const comment = prompt('Why is this listing being sent back? (required)');
+            if (!comment || !comment.trim()) return;
+            body.comment = comment.trim();
+        } else if (action === 'approve') {
+            const publishAt = prompt('Publish date (YYYY-MM-DD), or leave blank to publish now:', '');
+            if (publishAt === null) return;
+            if (publishAt.trim()) body.publishAt = publishAt.trim();
+            const comment = prompt('Optional comment for the author:', '');
+            if (comment) body.comment = comment.trim();
+        } else if (action === 'archive' && !confirm('Take this listing off the public site?')) {
+            return;
+        }
+
+        try {
+            const response = await AuthSession.authFetch(API_ENDPOINTS.listingPublication(id, action), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `Request failed: ${response.status}`);
+            alert(`✅ ${result.message}`);
+            await ListingAPI.fetchListings();
+        } catch (error) {
+            if (error.sessionExpired) return;
+            alert(`Error: ${error.message}`);
+        }
+    }
+};
+
 const PropertiesTable = {
     render: (listings) => {
         if (!propertiesTable) return;
+        BulkActions.retain(Array.isArray(listings) ? listings.map(l => l._id || l.id) : []);
         if (!Array.isArray(listings) || listings.length === 0) {
             propertiesTable.innerHTML = `
                 <tr>
-                    <td colspan="8" class="text-center">
+                    <td colspan="9" class="text-center">
                         <div class="alert alert-info">
                             <i class="fas fa-map-marked-alt fa-2x mb-3"></i>
                             <h5>No Listings Found</h5>
@@ -524,12 +641,19 @@ const PropertiesTable = {
             const card = Utils.createPropertyCard(listing);
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td>${card.title}</td>
-                <td>${card.location}</td>
+                <td>
+                    <input type="checkbox" class="select-listing" data-id="${card.id}"
+                           ${BulkActions.selected.has(card.id) ? 'checked' : ''} aria-label="Select ${Utils.escapeHtml(card.title)}">
+                </td>
+                <td>${Utils.escapeHtml(card.title)}</td>
+                <td>${Utils.escapeHtml(card.location)}</td>
                 <td>${card.type}</td>
                 <td>Land Sale</td> <!-- Category fixed -->
                 <td>${card.price}</td>
-                <td><span class="status-badge ${card.status}">${card.status.charAt(0).toUpperCase() + card.status.slice(1)}</span></td>
+                <td>
+                    <span class="status-badge ${card.status}">${card.status.charAt(0).toUpperCase() + card.status.slice(1)}</span>
+                    ${PublicationWorkflow.badge(card)}
+                </td>
                 <td>
                     ${card.images.length > 0 ? 
                         `<span class="badge bg-success">${card.images.length} image(s)</span>` : 
@@ -540,6 +664,7 @@ const PropertiesTable = {
                     <button class="btn btn-outline edit-btn" data-id="${card.id}">
                         <i class="fas fa-edit"></i> Edit
                     </button>
+                    ${PublicationWorkflow.buttons(card)}
                     <button class="btn btn-danger delete-btn" data-id="${card.id}">
                         <i class="fas fa-trash"></i> Delete
                     </button>
@@ -548,10 +673,13 @@ const PropertiesTable = {
             propertiesTable.appendChild(tr);
         });
         PropertiesTable.attachEventListeners();
+        BulkActions.updateBar();
     },
 
     attachEventListeners: () => {
-        if (!propertiesTable) return;
+        // render() runs on every refresh; one delegated listener is enough
+        if (!propertiesTable || propertiesTable.dataset.listening) return;
+        propertiesTable.dataset.listening = 'true';
         propertiesTable.addEventListener('click', (e) => {
             const btn = e.target.closest('button');
             if (!btn) return;
@@ -561,6 +689,13 @@ const PropertiesTable = {
                 ListingAPI.editListing(id);
             } else if (btn.classList.contains('delete-btn')) {
                 ListingAPI.deleteListing(id);
+            } else if (btn.classList.contains('publication-btn')) {
+                PublicationWorkflow.run(id, btn.dataset.action);
+            }
+        });
+        propertiesTable.addEventListener('change', (e) => {
+            if (e.target.classList.contains('select-listing')) {
+                BulkActions.toggle(e.target.dataset.id, e.target.checked);
             }
         });
     },
@@ -569,7 +704,7 @@ const PropertiesTable = {
         if (!propertiesTable) return;
         propertiesTable.innerHTML = `
             <tr>
-                <td colspan="8" class="text-center">
+                <td colspan="9" class="text-center">
                     <div class="spinner-border text-primary" role="status">
                         <span class="visually-hidden">Loading...</span>
                     </div>
@@ -582,7 +717,7 @@ const PropertiesTable = {
         if (!propertiesTable) return;
         propertiesTable.innerHTML = `
             <tr>
-                <td colspan="8">
+                <td colspan="9">
                     <div class="alert alert-danger">
                         <h5><i class="fas fa-exclamation-triangle"></i> Error Loading Listings</h5>
                         <p>${error}</p>
@@ -592,6 +727,139 @@ const PropertiesTable = {
     }
 };
 
+// =========================
+// Bulk actions on selected listings
+// =========================
+const BulkActions = {
+    selected: new Set(),
+
+    toggle: (id, checked) => {
+        if (checked) BulkActions.selected.add(id);
+        else BulkActions.selected.delete(id);
+        BulkActions.updateBar();
+    },
+
+    toggleAll: (checked) => {
+        document.querySelectorAll('#propertiesTable .select-listing').forEach(box => {
+            box.checked = checked;
+            if (checked) BulkActions.selected.add(box.dataset.id);
+            else BulkActions.selected.delete(box.dataset.id);
+        });
+        BulkActions.updateBar();
+    },
+
+    // Drop selections for listings no longer in the table
+    retain: (ids) => {
+        const current = new Set(ids.map(String));
+        [...BulkActions.selected].forEach(id => {
+            if (!current.has(id)) BulkActions.selected.delete(id);
+        });
+        BulkActions.updateBar();
+    },
+
+    clear: () => {
+        BulkActions.toggleAll(false);
+        BulkActions.selected.clear();
+        BulkActions.updateBar();
+    },
+
+    updateBar: () => {
+        const bar = document.getElementById('bulkActionBar');
+        if (!bar) return;
+        const count = BulkActions.selected.size;
+        bar.style.display = count > 0 ? '' : 'none';
+        document.getElementById('bulkSelectedCount').textContent = `${count} selected`;
+        const boxes = document.querySelectorAll('#propertiesTable .select-listing');
+        const selectAll = document.getElementById('selectAllListings');
+        if (selectAll) {
+            selectAll.checked = boxes.length > 0 && [...boxes].every(box => box.checked);
+        }
+    },
+
+    // Show only the inputs the chosen action needs
+    onActionChange: () => {
+        const action = document.getElementById('bulkAction').value;
+        document.getElementById('bulkStatus').style.display = action === 'status' ? '' : 'none';
+        document.getElementById('bulkPriceFields').style.display = action === 'price' ? '' : 'none';
+        document.getElementById('bulkAmenities').style.display = action.endsWith('amenities') ? '' : 'none';
+    },
+
+    buildPayload: () => {
+        const action = document.getElementById('bulkAction').value;
+        const payload = { action, ids: [...BulkActions.selected] };
+        if (action === 'status') {
+            payload.status = document.getElementById('bulkStatus').value;
+        } else if (action === 'price') {
+            payload.price = {
+                mode: document.getElementById('bulkPriceMode').value,
+                value: parseFloat(document.getElementById('bulkPriceValue').value)
+            };
+        } else if (action.endsWith('amenities')) {
+            payload.amenities = document.getElementById('bulkAmenities').value
+                .split(',').map(a => a.trim()).filter(Boolean);
+        }
+        return payload;
+    },
+
+    describe: (payload) => {
+        const count = payload.ids.length;
+        switch (payload.action) {
+            case 'status': return `Mark ${count} listing(s) as ${payload.status}?`;
+            case 'price': {
+                const { mode, value } = payload.price;
+                const change = mode === 'percent' ? `${value}%` : `KES ${value.toLocaleString()}`;
+                return `Change the price of ${count} listing(s) by ${change}?`;
+            }
+            case 'add-amenities': return `Add "${payload.amenities.join(', ')}" to ${count} listing(s)?`;
+            case 'remove-amenities': return `Remove "${payload.amenities.join(', ')}" from ${count} listing(s)?`;
+            case 'delete': return `Move ${count} listing(s) to the trash? They can be restored until purged.`;
+            default: return '';
+        }
+    },
+
+    apply: async () => {
+        const payload = BulkActions.buildPayload();
+        if (!payload.action) {
+            alert('Choose a bulk action first');
+            return;
+        }
+        if (payload.action === 'price' && (!Number.isFinite(payload.price.value) || payload.price.value === 0)) {
+            alert('Enter a price change, e.g. -10 for a 10% cut');
+            return;
+        }
+        if (payload.amenities && payload.amenities.length === 0) {
+            alert('Enter at least one amenity');
+            return;
+        }
+        if (!confirm(BulkActions.describe(payload))) return;
+
+        const applyBtn = document.getElementById('bulkApplyBtn');
+        applyBtn.disabled = true;
+        try {
+            const response = await AuthSession.authFetch(API_ENDPOINTS.bulkListings, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `Bulk action failed: ${response.status}`);
+
+            const failures = result.results.filter(r => !r.success);
+            const details = failures.map(r => `• ${r.title || r.id}: ${r.error}`).join('\n');
+            alert(`${failures.length ? '⚠️' : '✅'} ${result.message}${details ? `\n\n${details}` : ''}`);
+
+            BulkActions.clear();
+            await ListingAPI.fetchListings();
+            if (payload.action === 'delete' && TrashManager.visible) await TrashManager.load();
+        } catch (error) {
+            if (error.sessionExpired) return;
+            alert(`Error: ${error.message}`);
+        } finally {
+            applyBtn.disabled = false;
+        }
+    }
+};
+
 // =========================
 // Transaction Buttons (UI only, not used in payload)
 // =========================
@@ -623,6 +891,7 @@ const ListingAPI = {
             return listings;
         } catch (error) {
             console.error('❌ Error fetching listings:', error);
+            if (error.sessionExpired) return [];
             PropertiesTable.showError(error.message);
             throw error;
         }
@@ -636,6 +905,7 @@ const ListingAPI = {
             FormManager.populateForEdit(listing);
         } catch (error) {
             console.error('❌ Error fetching listing data:', error);
+            if (error.sessionExpired) return;
             alert(`Error: ${error.message || 'Failed to load listing for editing'}`);
         }
     },
@@ -650,7 +920,7 @@ const ListingAPI = {
         for (let i = 0; i < imageFiles.length; i++) {
             formData.append('images', imageFiles[i]);
         }
-        const response = await fetch(API_ENDPOINTS.addListing, {
+        const response = await AuthSession.authFetch(API_ENDPOINTS.addListing, {
             method: 'POST',
             body: formData
         });
@@ -663,7 +933,7 @@ const ListingAPI = {
 
     updateListing: async (id, listingData, hasNewImages) => {
         if (!hasNewImages) {
-            return await fetch(API_ENDPOINTS.listingById(id), {
+            return await AuthSession.authFetch(API_ENDPOINTS.listingById(id), {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(listingData)
@@ -678,7 +948,7 @@ const ListingAPI = {
             for (let i = 0; i < imageFiles.length; i++) {
                 formData.append('images', imageFiles[i]);
             }
-            return await fetch(API_ENDPOINTS.listingById(id), {
+            return await AuthSession.authFetch(API_ENDPOINTS.listingById(id), {
                 method: 'PATCH',
                 body: formData
             }).then(res => {
@@ -688,12 +958,38 @@ const ListingAPI = {
         }
     },
 
+    uploadBoundary: async (id, file) => {
+        const formData = new FormData();
+        formData.append('boundary', file);
+        const response = await AuthSession.authFetch(API_ENDPOINTS.listingBoundary(id), {
+            method: 'PUT',
+            body: formData
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || `Boundary upload failed: ${response.status}`);
+        return result;
+    },
+
+    // One-line summary of the surveyed area check and any overlaps
+    describeBoundaryResult: (result) => {
+        const { areaCheck, overlaps } = result;
+        let summary = `Surveyed area: ${areaCheck.surveyedAcres} acres (${areaCheck.surveyedSqm} m²)`;
+        if (areaCheck.differencePercent !== null) {
+            summary += `, ${areaCheck.differencePercent > 0 ? '+' : ''}${areaCheck.differencePercent}% vs plot size`;
+            if (!areaCheck.withinTolerance) summary += ' ⚠️ check the plot size';
+        }
+        if (overlaps.length) {
+            summary += `\n⚠️ Overlaps: ${overlaps.map(o => `${o.title} (${o.overlapSqm} m²)`).join(', ')}`;
+        }
+        return summary;
+    },
+
     deleteListing: async (id) => {
-        if (!confirm("Are you sure you want to delete this listing?\n\nThis action cannot be undone.")) {
+        if (!confirm("Move this listing to the trash?\n\nIt disappears from the site immediately and can be restored until it is purged.")) {
             return;
         }
         try {
-            const response = await fetch(API_ENDPOINTS.listingById(id), {
+            const response = await AuthSession.authFetch(API_ENDPOINTS.listingById(id), {
                 method: 'DELETE'
             });
             if (!response.ok) {
@@ -706,16 +1002,102 @@ const ListingAPI = {
                 FormManager.reset();
             }
             await ListingAPI.fetchListings();
+            if (TrashManager.visible) await TrashManager.load();
         } catch (error) {
             console.error('❌ Error deleting listing:', error);
+            if (error.sessionExpired) return;
             alert(`Error: ${error.message || 'Failed to delete listing'}`);
         }
     }
 };
 
+// =========================
+// Trash (soft-deleted listings)
+// =========================
+const TrashManager = {
+    visible: false,
+
+    toggle: async () => {
+        const section = document.getElementById('trashSection');
+        const btn = document.getElementById('trashToggleBtn');
+        TrashManager.visible = !TrashManager.visible;
+        section.style.display = TrashManager.visible ? '' : 'none';
+        btn.innerHTML = TrashManager.visible
+            ? '<i class="fas fa-eye-slash"></i> Hide Trash'
+            : '<i class="fas fa-trash-restore"></i> Show Trash';
+        if (TrashManager.visible) await TrashManager.load();
+    },
+
+    load: async () => {
+        const tbody = document.querySelector('#trashTable tbody');
+        if (!tbody) return;
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center"><i class="fas fa-spinner fa-spin"></i> Loading trash...</td></tr>';
+        try {
+            const response = await AuthSession.authFetch(`${API_ENDPOINTS.trash}?limit=200`);
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `Request failed: ${response.status}`);
+            TrashManager.render(result.data, result.meta);
+        } catch (error) {
+            if (error.sessionExpired) return;
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center">Error: ${Utils.escapeHtml(error.message)}</td></tr>`;
+        }
+    },
+
+    render: (listings, meta) => {
+        const tbody = document.querySelector('#trashTable tbody');
+        const info = document.getElementById('trashInfo');
+        if (info) info.textContent = `Deleted listings are purged permanently after ${meta.retentionDays} days.`;
+        if (!listings.length) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">Trash is empty</td></tr>';
+            return;
+        }
+        const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+        tbody.innerHTML = listings.map(listing => `
+            <tr>
+                <td>${Utils.escapeHtml(listing.title)}</td>
+                <td>${Utils.escapeHtml(listing.location)}</td>
+                <td>${formatDate(listing.deletedAt)}</td>
+                <td>${Utils.escapeHtml(listing.deletedBy?.username || '—')}</td>
+                <td>${formatDate(listing.purgeAfter)}</td>
+                <td class="actions">
+                    <button class="btn btn-outline restore-btn" data-id="${listing._id}">
+                        <i class="fas fa-undo"></i> Restore
+                    </button>
+                </td>
+            </tr>`).join('');
+    },
+
+    restore: async (id) => {
+        try {
+            const response = await AuthSession.authFetch(API_ENDPOINTS.restoreListing(id), { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || `Restore failed: ${response.status}`);
+            alert(`✅ ${result.message}`);
+            await Promise.all([TrashManager.load(), ListingAPI.fetchListings()]);
+        } catch (error) {
+            if (error.sessionExpired) return;
+            alert(`Error: ${error.message}`);
+        }
+    }
+};
+
 // =========================
 // Form Submission Handler
 // =========================
+// Boundary upload failures are reported without undoing the saved listing
+async function saveBoundaryIfSelected(listingId) {
+    const boundaryInput = document.getElementById('boundaryFile');
+    const file = boundaryInput?.files?.[0];
+    if (!file || !listingId) return;
+    try {
+        const result = await ListingAPI.uploadBoundary(listingId, file);
+        alert(`🗺️ ${result.message}\n${ListingAPI.describeBoundaryResult(result)}`);
+    } catch (error) {
+        if (error.sessionExpired) throw error;
+        alert(`⚠️ Listing saved, but the boundary was not: ${error.message}`);
+    }
+}
+
 async function handleFormSubmit(e) {
     e.preventDefault();
 
@@ -768,10 +1150,12 @@ async function handleFormSubmit(e) {
         whatsapp: document.getElementById('whatsapp').value || '254727619305',
         amenities: amenities,
         verificationChecklist: verificationChecklist,
+        mapLink: document.getElementById('mapLink').value.trim(),
+        latitude: document.getElementById('latitude').value.trim(),
+        longitude: document.getElementById('longitude').value.trim(),
         // Optional fields (not in form yet):
         titleType: '',  // can be added later
-        documentsAvailable: [],
-        mapLink: ''
+        documentsAvailable: []
     };
 
     try {
@@ -789,12 +1173,14 @@ async function handleFormSubmit(e) {
                 return;
             }
             result = await ListingAPI.createListing(listingData, imageInput.files);
-            alert('✅ Listing created successfully!');
+            await saveBoundaryIfSelected(result.listing._id);
+            alert('✅ Listing saved as a draft. Use Submit to send it for review.');
         } else {
             // Include existing images array if any were kept
             listingData.images = existingImages;
             const hasNewImages = imageInput.files.length > 0;
             result = await ListingAPI.updateListing(currentEditId, listingData, hasNewImages);
+            await saveBoundaryIfSelected(currentEditId);
             alert('✅ Listing updated successfully!');
         }
 
@@ -803,6 +1189,7 @@ async function handleFormSubmit(e) {
         
     } catch (error) {
         console.error('❌ Error saving listing:', error);
+        if (error.sessionExpired) return;
         alert(`Error: ${error.message || 'Failed to save listing'}`);
     } finally {
         submitBtn.disabled = false;
@@ -812,34 +1199,456 @@ async function handleFormSubmit(e) {
     }
 }
 
+// =========================
+// Session Storage (access + refresh tokens)
+// =========================
+const AuthSession = {
+    get: () => {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        } catch {
+            return null;
+        }
+    },
+
+    save: (data) => {
+        const current = AuthSession.get() || {};
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+            ...current,
+            token: data.token,
+            refreshToken: data.refreshToken,
+            admin: data.admin || current.admin,
+            lastActivity: Date.now()
+        }));
+    },
+
+    clear: () => {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        localStorage.removeItem('adminLoggedIn'); // legacy flag
+    },
+
+    getToken: () => AuthSession.get()?.token || null,
+
+    touch: () => {
+        const session = AuthSession.get();
+        if (!session) return;
+        session.lastActivity = Date.now();
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    },
+
+    // fetch() with the Bearer token attached. On a 401 it refreshes once and
+    // retries; if that fails the admin is sent back to the login screen.
+    authFetch: async (url, options = {}) => {
+        const withAuth = () => {
+            const token = AuthSession.getToken();
+            const headers = { ...options.headers };
+            if (token) headers['Authorization'] = `Bearer ${token}`;
+            return fetch(url, { ...options, headers });
+        };
+
+        const sentToken = AuthSession.getToken();
+        let response = await withAuth();
+        if (response.status !== 401 || !sentToken) return response;
+
+        // Another request may already have refreshed while this one was in flight
+        const currentToken = AuthSession.getToken();
+        const refreshed = (currentToken && currentToken !== sentToken) || await AuthSession.refresh();
+        if (refreshed) {
+            response = await withAuth();
+            if (response.status !== 401) return response;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        Auth.logout(null, data.message || 'Your session has expired. Please log in again.');
+        const error = new Error('Session expired');
+        error.sessionExpired = true;
+        throw error;
+    },
+
+    // Rotate the refresh token and get a new access token. Concurrent 401s share
+    // one request: sending the same refresh token twice looks like token theft
+    // to the server, which then revokes the session.
+    _refreshing: null,
+
+    refresh: () => {
+        if (!AuthSession._refreshing) {
+            AuthSession._refreshing = AuthSession._rotate().finally(() => {
+                AuthSession._refreshing = null;
+            });
+        }
+        return AuthSession._refreshing;
+    },
+
+    _rotate: async () => {
+        const session = AuthSession.get();
+        if (!session?.refreshToken) return false;
+        try {
+            const response = await fetch(API_ENDPOINTS.refresh, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: session.refreshToken })
+            });
+            if (!response.ok) {
+                AuthSession.clear();
+                return false;
+            }
+            AuthSession.save(await response.json());
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Token refresh failed:', error.message);
+            return false;
+        }
+    }
+};
+
+// =========================
+// Idle Timeout
+// =========================
+const IdleTimer = {
+    _intervalId: null,
+    _lastTouch: 0,
+
+    start: () => {
+        IdleTimer.stop();
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(evt => {
+            document.addEventListener(evt, IdleTimer._onActivity, { passive: true });
+        });
+        IdleTimer._intervalId = setInterval(IdleTimer._check, IDLE_CHECK_INTERVAL_MS);
+    },
+
+    stop: () => {
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(evt => {
+            document.removeEventListener(evt, IdleTimer._onActivity);
+        });
+        if (IdleTimer._intervalId) clearInterval(IdleTimer._intervalId);
+        IdleTimer._intervalId = null;
+    },
+
+    // Throttled so mousemove doesn't hammer localStorage
+    _onActivity: () => {
+        const now = Date.now();
+        if (now - IdleTimer._lastTouch < 5000) return;
+        IdleTimer._lastTouch = now;
+        AuthSession.touch();
+    },
+
+    // lastActivity lives in localStorage so activity in any open tab counts
+    _check: () => {
+        const session = AuthSession.get();
+        if (!session) {
+            Auth.showLogin('You have been signed out.');
+            return;
+        }
+        if (Date.now() - (session.lastActivity || 0) > IDLE_TIMEOUT_MS) {
+            Auth.logout(null, 'You were signed out after 30 minutes of inactivity.');
+        }
+    }
+};
+
 // =========================
 // Authentication
 // =========================
 const Auth = {
-    login: (e) => {
+    login: async (e) => {
         e.preventDefault();
-        const username = document.getElementById('username').value;
+        const username = document.getElementById('username').value.trim();
         const password = document.getElementById('password').value;
-        if (username && password) {
-            localStorage.setItem('adminLoggedIn', "true");
-            loginSection.style.display = "none";
-            adminSection.style.display = "block";
-            ListingAPI.fetchListings();
-            FormManager.reset();
-        } else {
+        if (!username || !password) {
             alert("Please enter credentials");
+            return;
+        }
+
+        const loginBtn = loginForm.querySelector('button[type="submit"]');
+        if (loginBtn) loginBtn.disabled = true;
+        try {
+            const response = await fetch(API_ENDPOINTS.login, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                Auth.setLoginMessage(data.message || `Login failed (${response.status})`);
+                return;
+            }
+
+            document.getElementById('password').value = '';
+            if (data.twoFactorRequired) {
+                TwoFactor.showCodeStep(data.challengeToken, data.message);
+                return;
+            }
+            if (data.twoFactorSetupRequired) {
+                await TwoFactor.startSetup(data.challengeToken, data.message);
+                return;
+            }
+
+            AuthSession.save(data);
+            Auth.showAdmin();
+        } catch (error) {
+            console.error('❌ Login error:', error);
+            Auth.setLoginMessage('Could not reach the server. Please try again.');
+        } finally {
+            if (loginBtn) loginBtn.disabled = false;
+        }
+    },
+
+    logout: async (e, message = '') => {
+        const token = AuthSession.getToken();
+        AuthSession.clear();
+        Auth.showLogin(message);
+        if (token) {
+            // Revoke server-side; the local session is already gone either way
+            fetch(API_ENDPOINTS.logout, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            }).catch(() => {});
         }
     },
 
-    logout: () => {
-        localStorage.removeItem('adminLoggedIn');
+    checkAuth: () => {
+        const session = AuthSession.get();
+        if (!session?.refreshToken) return false;
+        return Date.now() - (session.lastActivity || 0) <= IDLE_TIMEOUT_MS;
+    },
+
+    showAdmin: () => {
+        Auth.setLoginMessage('');
+        TwoFactor.reset();
+        if (twoFactorBtn) twoFactorBtn.style.display = AuthSession.get()?.admin?.twoFactorEnabled ? 'none' : '';
+        loginSection.style.display = "none";
+        adminSection.style.display = "block";
+        IdleTimer.start();
+        ListingAPI.fetchListings();
+        FormManager.reset();
+    },
+
+    showLogin: (message = '') => {
+        IdleTimer.stop();
+        TwoFactor.reset();
         loginSection.style.display = "block";
         adminSection.style.display = "none";
         FormManager.reset();
+        Auth.setLoginMessage(message);
     },
 
-    checkAuth: () => {
-        return localStorage.getItem('adminLoggedIn') === "true";
+    setLoginMessage: (message) => {
+        if (!loginMessage) return;
+        loginMessage.textContent = message;
+        loginMessage.style.display = message ? 'block' : 'none';
+    }
+};
+
+// =========================
+// Two-Factor Authentication
+// =========================
+const TwoFactor = {
+    challengeToken: null,   // from the password step
+    useRecovery: false,
+
+    showCodeStep: (challengeToken, message = '') => {
+        TwoFactor.challengeToken = challengeToken;
+        TwoFactor.setRecoveryMode(false);
+        loginForm.style.display = 'none';
+        twoFactorForm.style.display = 'block';
+        Auth.setLoginMessage(message);
+        document.getElementById('twoFactorCode').focus();
+    },
+
+    setRecoveryMode: (useRecovery) => {
+        TwoFactor.useRecovery = useRecovery;
+        document.getElementById('twoFactorCodeLabel').textContent = useRecovery ? 'Recovery code' : 'Authentication code';
+        document.getElementById('twoFactorCode').placeholder = useRecovery ? 'xxxxx-xxxxx' : '6-digit code';
+        document.getElementById('toggleRecoveryCode').textContent = useRecovery
+            ? 'Use authenticator code instead'
+            : 'Use a recovery code instead';
+    },
+
+    submitCode: async (e) => {
+        e.preventDefault();
+        const value = document.getElementById('twoFactorCode').value.trim();
+        if (!value) return;
+
+        const payload = { challengeToken: TwoFactor.challengeToken };
+        payload[TwoFactor.useRecovery ? 'recoveryCode' : 'code'] = value;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.login2fa, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (data.code === 'INVALID_CHALLENGE') {
+                    Auth.showLogin(data.message);
+                } else {
+                    Auth.setLoginMessage(data.message || 'Verification failed');
+                }
+                return;
+            }
+
+            AuthSession.save(data);
+            if (data.recoveryCodesRemaining !== undefined) {
+                alert(`Recovery code used. You have ${data.recoveryCodesRemaining} recovery code(s) left.`);
+            }
+            Auth.showAdmin();
+        } catch (error) {
+            console.error('❌ 2FA verification error:', error);
+            Auth.setLoginMessage('Could not reach the server. Please try again.');
+        }
+    },
+
+    // Enrolment: challengeToken when forced during login, else the signed-in session is used
+    startSetup: async (challengeToken = null, message = '') => {
+        TwoFactor.challengeToken = challengeToken;
+        const request = challengeToken ? fetch : AuthSession.authFetch;
+
+        try {
+            const response = await request(API_ENDPOINTS.twoFactorSetup, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(challengeToken ? { challengeToken } : {})
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                alert(data.message || 'Could not start two-factor setup');
+                return;
+            }
+
+            document.getElementById('twoFactorQr').src = data.qrCode;
+            document.getElementById('twoFactorSecret').textContent = data.secret;
+            document.getElementById('twoFactorSetupCode').value = '';
+            loginSection.style.display = 'none';
+            adminSection.style.display = 'none';
+            twoFactorSection.style.display = 'block';
+            if (message) alert(message);
+        } catch (error) {
+            console.error('❌ 2FA setup error:', error);
+            if (error.sessionExpired) return;
+            alert('Could not reach the server. Please try again.');
+        }
+    },
+
+    submitSetup: async (e) => {
+        e.preventDefault();
+        const code = document.getElementById('twoFactorSetupCode').value.trim();
+        const challengeToken = TwoFactor.challengeToken;
+        const request = challengeToken ? fetch : AuthSession.authFetch;
+
+        try {
+            const response = await request(API_ENDPOINTS.twoFactorEnable, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(challengeToken ? { challengeToken, code } : { code })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                alert(data.message || 'Invalid code');
+                return;
+            }
+
+            alert(`✅ Two-factor authentication enabled.\n\nSave these recovery codes somewhere safe. Each works once and they will not be shown again:\n\n${data.recoveryCodes.join('\n')}`);
+            if (data.token) {
+                AuthSession.save(data);
+            } else {
+                const session = AuthSession.get();
+                if (session?.admin) AuthSession.save({ ...session, admin: { ...session.admin, twoFactorEnabled: true } });
+            }
+            Auth.showAdmin();
+        } catch (error) {
+            console.error('❌ 2FA enable error:', error);
+            if (error.sessionExpired) return;
+            alert('Could not reach the server. Please try again.');
+        }
+    },
+
+    cancelSetup: () => {
+        if (TwoFactor.challengeToken || !AuthSession.get()) {
+            Auth.showLogin('Two-factor setup was cancelled.');
+        } else {
+            Auth.showAdmin();
+        }
+    },
+
+    reset: () => {
+        TwoFactor.challengeToken = null;
+        if (twoFactorForm) {
+            twoFactorForm.style.display = 'none';
+            twoFactorForm.reset();
+        }
+        if (twoFactorSection) twoFactorSection.style.display = 'none';
+        if (loginForm) loginForm.style.display = 'block';
+    }
+};
+
+// =========================
+// Password Reset
+// =========================
+const PasswordReset = {
+    resetToken: null,
+
+    request: async () => {
+        const identifier = prompt('Enter your admin username or email address:');
+        if (!identifier || !identifier.trim()) return;
+        try {
+            const response = await fetch(API_ENDPOINTS.forgotPassword, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: identifier.trim() })
+            });
+            const data = await response.json().catch(() => ({}));
+            Auth.setLoginMessage(data.message || 'If that account exists, a reset link has been sent.');
+        } catch (error) {
+            console.error('❌ Forgot password error:', error);
+            Auth.setLoginMessage('Could not reach the server. Please try again.');
+        }
+    },
+
+    // Emailed links land on admin.html?resetToken=...
+    initFromUrl: () => {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('resetToken');
+        if (!token || !resetPasswordForm) return false;
+
+        PasswordReset.resetToken = token;
+        // Keep the token out of history and referrers
+        window.history.replaceState({}, document.title, window.location.pathname);
+        loginForm.style.display = 'none';
+        resetPasswordForm.style.display = 'block';
+        Auth.setLoginMessage('Choose a new password for your account.');
+        return true;
+    },
+
+    submit: async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+        if (password !== confirmPassword) {
+            Auth.setLoginMessage('Passwords do not match.');
+            return;
+        }
+
+        try {
+            const response = await fetch(API_ENDPOINTS.resetPassword, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: PasswordReset.resetToken, password })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                Auth.setLoginMessage(data.message || 'Could not reset password.');
+                return;
+            }
+
+            PasswordReset.resetToken = null;
+            resetPasswordForm.reset();
+            resetPasswordForm.style.display = 'none';
+            loginForm.style.display = 'block';
+            Auth.setLoginMessage(data.message);
+        } catch (error) {
+            console.error('❌ Reset password error:', error);
+            Auth.setLoginMessage('Could not reach the server. Please try again.');
+        }
     }
 };
 
@@ -859,12 +1668,15 @@ async function checkServerHealth() {
 // Initialization
 // =========================
 document.addEventListener('DOMContentLoaded', () => {
-    if (Auth.checkAuth()) {
-        loginSection.style.display = "none";
-        adminSection.style.display = "block";
-        checkServerHealth().then(() => {
-            ListingAPI.fetchListings();
-        });
+    if (PasswordReset.initFromUrl()) {
+        AuthSession.clear();
+    } else if (Auth.checkAuth()) {
+        // Access tokens are short-lived; get a fresh one before loading data
+        checkServerHealth()
+            .then(() => AuthSession.refresh())
+            .then(ok => ok ? Auth.showAdmin() : Auth.showLogin('Your session has expired. Please log in again.'));
+    } else if (AuthSession.get()) {
+        Auth.logout(null, 'You were signed out after 30 minutes of inactivity.');
     }
     
     ImageManager.init();
@@ -884,10 +1696,36 @@ document.addEventListener('DOMContentLoaded', () => {
     
     if (loginForm) loginForm.addEventListener('submit', Auth.login);
     if (logoutBtn) logoutBtn.addEventListener('click', Auth.logout);
+    if (resetPasswordForm) resetPasswordForm.addEventListener('submit', PasswordReset.submit);
+    const forgotPasswordBtn = document.getElementById('forgotPasswordBtn');
+    if (forgotPasswordBtn) forgotPasswordBtn.addEventListener('click', PasswordReset.request);
+    if (twoFactorForm) twoFactorForm.addEventListener('submit', TwoFactor.submitCode);
+    if (twoFactorSetupForm) twoFactorSetupForm.addEventListener('submit', TwoFactor.submitSetup);
+    if (twoFactorBtn) twoFactorBtn.addEventListener('click', () => TwoFactor.startSetup());
+    const toggleRecoveryBtn = document.getElementById('toggleRecoveryCode');
+    if (toggleRecoveryBtn) toggleRecoveryBtn.addEventListener('click', () => TwoFactor.setRecoveryMode(!TwoFactor.useRecovery));
+    const cancelSetupBtn = document.getElementById('cancelTwoFactorSetup');
+    if (cancelSetupBtn) cancelSetupBtn.addEventListener('click', TwoFactor.cancelSetup);
     if (propertyForm) propertyForm.addEventListener('submit', handleFormSubmit);
     
     const resetBtn = document.getElementById('resetForm');
     if (resetBtn) resetBtn.addEventListener('click', FormManager.reset);
+
+    const trashToggleBtn = document.getElementById('trashToggleBtn');
+    if (trashToggleBtn) trashToggleBtn.addEventListener('click', TrashManager.toggle);
+    const trashTable = document.getElementById('trashTable');
+    if (trashTable) {
+        trashTable.addEventListener('click', (e) => {
+            const btn = e.target.closest('.restore-btn');
+            if (btn) TrashManager.restore(btn.dataset.id);
+        });
+    }
+
+    // Bulk action bar
+    document.getElementById('selectAllListings')?.addEventListener('change', (e) => BulkActions.toggleAll(e.target.checked));
+    document.getElementById('bulkAction')?.addEventListener('change', BulkActions.onActionChange);
+    document.getElementById('bulkApplyBtn')?.addEventListener('click', BulkActions.apply);
+    document.getElementById('bulkClearBtn')?.addEventListener('click', BulkActions.clear);
 });
 
 // =========================
@@ -898,6 +1736,8 @@ if (typeof module !== 'undefined' && module.exports) {
         PropertyAdminAPI,
         Utils,
         ListingAPI,
+        AuthSession,
+        TwoFactor,
         Auth
     };
 }
\ No newline at end of file
@@ -6,12 +6,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // ========== CONFIGURATION ==========
     const CONFIG = {
         apiBase: 'https://unipro-realestate.onrender.com',
-        itemsPerPage: 9,
-        cacheKey: 'property_by_Unipro_cache',
+        itemsPerPage: 9, // page size requested from the API
+        cacheKey: 'property_by_Unipro_cache_v2',
         cacheTTL: 10 * 60 * 1000, // 10 minutes
         retryAttempts: 2,
-        retryDelay: 2000,
-        fetchLimit: 100 // ✅ Request 100 listings from API
+        retryDelay: 2000
     };
 
     // ========== DOM ELEMENTS ==========
@@ -40,10 +39,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // ========== STATE MANAGEMENT ==========
     let state = {
-        properties: [],
-        filteredProperties: [],
+        properties: [], // the current page, filtered and paged by the API
+        meta: { total: 0, page: 1, pages: 0 },
         currentPage: 1,
         isLoading: false,
+        requestId: 0, // newer requests win over slow older ones
         retryCount: 0,
         isServerHealthy: false,
         filters: {
@@ -74,17 +74,17 @@ document.addEventListener('DOMContentLoaded', () => {
         fetch(`${CONFIG.apiBase}/health`).catch(() => {});
         
         checkServerHealth().then(() => {
-            // Try to load from cache first for instant display
+            // Try to load the first unfiltered page from cache for instant display
             const cached = getCachedProperties();
-            if (cached && cached.length > 0) {
+            if (cached && cached.data.length > 0) {
                 console.log('📦 Using cached properties');
-                state.properties = cached.map(processPropertyData);
-                applyFilters(true);
-                state.isLoading = false;
+                state.properties = cached.data.map(processPropertyData);
+                state.meta = cached.meta;
+                renderProperties();
             }
             
-            // Always fetch fresh data in background
-            loadProperties();
+            // Always fetch fresh data in background, then honour ?listing= links
+            loadProperties().then(openListingFromUrl);
         });
     }
 
@@ -127,18 +127,19 @@ document.addEventListener('DOMContentLoaded', () => {
             const cached = JSON.parse(raw);
             const isValid = Date.now() - cached.timestamp < CONFIG.cacheTTL;
             
-            return isValid ? cached.data : null;
+            return isValid && Array.isArray(cached.data) && cached.meta ? cached : null;
         } catch (error) {
             console.warn('Cache read failed:', error);
             return null;
         }
     }
     
-    function setCachedProperties(data) {
+    function setCachedProperties(data, meta) {
         try {
             localStorage.setItem(CONFIG.cacheKey, JSON.stringify({
                 timestamp: Date.now(),
-                data: data
+                data: data,
+                meta: meta
             }));
         } catch (error) {
             console.warn('Cache write failed:', error);
@@ -146,71 +147,119 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // ========== DATA LOADING ==========
-    async function loadProperties() {
-        if (state.isLoading) return;
-        
+    // Filters, search and paging run on the API; only the current page is held here
+    async function loadProperties(page = 1) {
+        const requestId = ++state.requestId;
         state.isLoading = true;
         showSkeletons(); // Show skeletons immediately
         
         try {
-            console.log('Fetching listings from API...');
-            
-            let properties = [];
+            console.log(`Fetching listings page ${page} from API...`);
+            const result = await fetchListingsPage(buildListingParams(state.filters, page));
             
-            // Try to use admin.js API if available
-            if (window.PropertyAdminAPI && typeof window.PropertyAdminAPI.getAllProperties === 'function') {
-                console.log('🔄 Using admin.js API to fetch properties');
-                properties = await window.PropertyAdminAPI.getAllProperties();
-            } else {
-                // Fallback to direct fetch with limit parameter
-                console.log('🔄 Using direct API fetch');
-                properties = await fetchPropertiesDirectly();
-            }
+            // Ignore stale responses if the user changed filters or pages meanwhile
+            if (requestId !== state.requestId) return;
             
-            // If API fails, use sample land data
-            if (!properties || !Array.isArray(properties) || properties.length === 0) {
+            // If the API fails (or has nothing at all yet), use sample land data
+            if (!result || (result.meta.total === 0 && !hasActiveFilters())) {
                 console.log('API returned no data, using sample land listings');
-                properties = getSampleProperties();
+                showSampleProperties(page);
+                if (!result) showToast('Using sample data. API connection issue.', 'warning');
+                return;
             }
             
-            console.log(`Loaded ${properties.length} properties`);
+            console.log(`Loaded ${result.data.length} of ${result.meta.total} properties`);
+            state.properties = result.data.map(processPropertyData);
+            state.meta = result.meta;
+            state.currentPage = result.meta.page;
             
-            // Process properties
-            state.properties = properties.map(processPropertyData);
-            
-            // Cache the results
-            setCachedProperties(properties);
-            
-            // Apply filters and render (initial load)
-            applyFilters(true);
-            
-            if (properties.length === 0) {
-                showEmptyState('No properties available at the moment. Please check back later.');
+            // Cache the default view for instant display next time
+            if (page === 1 && !hasActiveFilters()) {
+                setCachedProperties(result.data, result.meta);
             }
             
+            renderProperties();
+            
         } catch (error) {
             console.error('❌ Error loading properties:', error);
-            
-            // Use sample data as fallback
-            console.log('Using sample data due to error');
-            state.properties = getSampleProperties().map(processPropertyData);
-            applyFilters(true);
-            
-            // Show warning but continue
+            if (requestId !== state.requestId) return;
+            showSampleProperties(page);
             showToast('Using sample data. API connection issue.', 'warning');
             
         } finally {
-            state.isLoading = false;
+            if (requestId === state.requestId) state.isLoading = false;
+        }
+    }
+
+    // Filter select values -> API types (several select options share a stored type)
+    const TYPE_FILTERS = {
+        'plot-residential': ['land-res', 'plot'],
+        'plot-commercial': ['land-comm'],
+        'plot-gated': ['land-res', 'plot'],
+        'land-agricultural': ['ranch'],
+        'land-industrial': ['land-comm'],
+        'land-ranch': ['ranch'],
+        'title-deed-ready': ['title-deed-ready'],
+        'subdivision-ready': ['subdivision-ready']
+    };
+
+    // Price select values -> KES bounds (under-500k, 500k-1m, 1m-3m, 3m-10m, over-10m)
+    const PRICE_RANGES = {
+        'under-500k': [null, 500000],
+        '500k-1m': [500000, 1000000],
+        '1m-3m': [1000000, 3000000],
+        '3m-10m': [3000000, 10000000],
+        'over-10m': [10000001, null]
+    };
+
+    // Size select values -> acres (select originally bedrooms)
+    // Options: 1 -> 50x100 / 1/8 acre, 2 -> 100x100 / 1/4 acre, 3 -> 1/2 acre, 4+ -> 1 acre +
+    // Bands split halfway between the typical sizes so 50x100 (0.11 ac) and 100x100 (0.23 ac) land correctly
+    const SIZE_BANDS = {
+        '1': [0, 0.18],
+        '2': [0.18, 0.375],
+        '3': [0.375, 0.75],
+        '4+': [0.75, null]
+    };
+
+    function hasActiveFilters() {
+        const { search, location, type, price, size } = state.filters;
+        return Boolean(search) || [location, type, price, size].some(value => value !== 'all');
+    }
+
+    // Query string for /api/listings (or /api/listings/search when there is a search term)
+    function buildListingParams(filters, page) {
+        const params = new URLSearchParams({ page, limit: CONFIG.itemsPerPage });
+        
+        if (filters.search) params.set('q', filters.search);
+        if (filters.location !== 'all') params.set('location', filters.location);
+        if (filters.type !== 'all') {
+            params.set('type', (TYPE_FILTERS[filters.type] || [filters.type]).join(','));
+        }
+        
+        const priceRange = PRICE_RANGES[filters.price];
+        if (priceRange) {
+            if (priceRange[0] !== null) params.set('minPrice', priceRange[0]);
+            if (priceRange[1] !== null) params.set('maxPrice', priceRange[1]);
         }
+        
+        const sizeBand = SIZE_BANDS[filters.size];
+        if (sizeBand) {
+            params.set('minSize', sizeBand[0]);
+            if (sizeBand[1] !== null) params.set('maxSize', sizeBand[1]);
+        }
+        
+        return params;
     }
 
-    async function fetchPropertiesDirectly() {
+    // One page of listings as { data, meta }; search results come ranked with highlights
+    async function fetchListingsPage(params) {
         try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 8000);
             
-            // ✅ Request limit parameter for 100 properties – endpoint now /api/listings
-            const response = await fetch(`${CONFIG.apiBase}/api/listings?limit=${CONFIG.fetchLimit}`, {
+            const endpoint = params.has('q') ? '/api/listings/search' : '/api/listings';
+            const response = await fetch(`${CONFIG.apiBase}${endpoint}?${params}`, {
                 signal: controller.signal,
                 headers: {
                     'Accept': 'application/json',
@@ -226,12 +275,11 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const data = await response.json();
             
-            // Handle different response formats
-            if (data.success === false) {
-                throw new Error(data.message || 'API error');
+            if (data.success === false || !Array.isArray(data.data) || !data.meta) {
+                throw new Error(data.message || 'Unexpected listings response');
             }
             
-            return Array.isArray(data) ? data : [];
+            return { data: data.data, meta: data.meta };
             
         } catch (error) {
             console.warn('API fetch failed:', error.message);
@@ -239,6 +287,89 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Offline fallback: filter and page the sample listings in the browser
+    function showSampleProperties(page) {
+        const matches = getSampleProperties().map(processPropertyData).filter(matchesLocalFilters);
+        const pages = Math.ceil(matches.length / CONFIG.itemsPerPage);
+        state.currentPage = Math.min(page, pages) || 1;
+        state.meta = { total: matches.length, page: state.currentPage, pages, sample: true };
+        
+        const start = (state.currentPage - 1) * CONFIG.itemsPerPage;
+        state.properties = matches.slice(start, start + CONFIG.itemsPerPage);
+        renderProperties();
+    }
+
+    // ========== SHAREABLE LISTING LINKS ==========
+    function getListingUrl(property) {
+        const base = `${window.location.origin}${window.location.pathname}`;
+        return property.slug
+            ? `${base}?listing=${encodeURIComponent(property.slug)}`
+            : `${base}?id=${encodeURIComponent(property.id)}`;
+    }
+
+    function getWhatsAppMessage(property) {
+        return `Hi, I'm interested in "${property.title}" at ${formatLocationName(property.location)}. Price: ${property.priceDisplay}. ${getListingUrl(property)}`;
+    }
+
+    function getPlotWhatsAppMessage(property, plot) {
+        return `Hi, I'm interested in plot ${plot.number} of "${property.title}" at ${formatLocationName(property.location)}. Price: ${formatPrice(plot.priceNum, plot.price)}. ${getListingUrl(property)}`;
+    }
+
+    function setListingUrl(property) {
+        const url = property ? getListingUrl(property) : `${window.location.origin}${window.location.pathname}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    // Old slugs are 301-redirected by the API to the listing's current slug
+    async function fetchListingBySlug(slug) {
+        try {
+            const response = await fetch(`${CONFIG.apiBase}/api/listings/by-slug/${encodeURIComponent(slug)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn('Listing lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    async function fetchListingById(id) {
+        try {
+            const response = await fetch(`${CONFIG.apiBase}/api/listings/${encodeURIComponent(id)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.warn('Listing lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    async function openListingFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const slug = params.get('listing');
+        const id = params.get('id');
+        if (!slug && !id) return;
+        
+        // Listings beyond the current page are looked up directly
+        let property = state.properties.find(p => (slug && p.slug === slug) || (id && p.id === id));
+        
+        if (!property) {
+            const listing = slug ? await fetchListingBySlug(slug) : await fetchListingById(id);
+            if (listing) property = processPropertyData(listing);
+        }
+        
+        if (!property) {
+            showToast('That listing is no longer available.', 'warning');
+            setListingUrl(null);
+            return;
+        }
+        
+        openPropertyModal(property);
+    }
+
     // ========== PROCESS PROPERTY DATA (LAND-ONLY) ==========
     function processPropertyData(property) {
         // Generate ID if missing
@@ -283,6 +414,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         return {
             id: id,
+            slug: property.slug || '',
             title: property.title || 'Untitled Land',
             location: location,
             type: type,
@@ -291,6 +423,16 @@ document.addEventListener('DOMContentLoaded', () => {
             priceDisplay: formatPrice(priceNum, property.price), // No transaction needed
             // Land-specific fields
             plotSize: property.plotSize || property.size || '',
+            // Normalized by the API; null for legacy free-text sizes
+            plotAcres: property.plotArea?.acres ?? null,
+            pricePerAcre: property.pricePerAcre ?? null,
+            // { percent, from, at } when the price was cut recently
+            priceReduction: property.priceReduction || null,
+            // Subdivisions: child plots and "12 of 40 plots left"
+            plots: Array.isArray(property.plots) ? property.plots : [],
+            plotSummary: property.plotSummary || null,
+            // Search results only: fields with matches wrapped in <mark>
+            highlights: property.highlights || null,
             titleType: property.titleType || property.landTitle || '',
             amenities: property.amenities || property.features || [],
             verificationChecklist: property.verificationChecklist || [],
@@ -335,6 +477,13 @@ document.addEventListener('DOMContentLoaded', () => {
         return num;
     }
 
+    // Admin-entered text; escape it before putting it in innerHTML
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[char]));
+    }
+
     function formatPrice(amount, rawPrice = '') {
         if (!amount || amount === 0) return 'Price on request';
 
@@ -426,116 +575,42 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // ========== FILTERING (LAND-ONLY) ==========
-    function applyFilters(initialLoad = false) {
-        if (!state.properties.length) return;
-        
-        if (!initialLoad) {
-            state.currentPage = 1;
-        }
-        
-        // Update state from UI
-        if (!initialLoad) {
-            state.filters = {
-                search: elements.filterSearch?.value.toLowerCase() || '',
-                location: elements.locationFilter?.value || 'all',
-                type: elements.typeFilter?.value || 'all',
-                price: elements.priceFilter?.value || 'all',
-                size: elements.sizeFilter?.value || 'all'  // map from bedrooms select
-            };
-        }
+    // Reads the filter inputs and fetches the first matching page from the API
+    function applyFilters() {
+        state.filters = {
+            search: elements.filterSearch?.value.trim() || '',
+            location: elements.locationFilter?.value || 'all',
+            type: elements.typeFilter?.value || 'all',
+            price: elements.priceFilter?.value || 'all',
+            size: elements.sizeFilter?.value || 'all'  // map from bedrooms select
+        };
         
         console.log('Applying filters:', state.filters);
-        
-        // Filter properties
-        state.filteredProperties = state.properties.filter(property => {
-            // 1. Search filter
-            if (state.filters.search) {
-                const searchableText = `${property.title} ${formatLocationName(property.location)} ${formatTypeName(property.type)} ${property.description}`.toLowerCase();
-                if (!searchableText.includes(state.filters.search)) return false;
-            }
-            
-            // 2. Location filter
-            if (state.filters.location !== 'all' && property.location !== state.filters.location) {
-                return false;
-            }
-            
-            // 3. Type filter (land categories)
-            if (state.filters.type !== 'all' && property.type !== state.filters.type) {
-                return false;
-            }
-            
-            // 4. Price filter (sale only)
-            if (state.filters.price !== 'all') {
-                if (!checkPriceFilter(property.priceNum, state.filters.price)) {
-                    return false;
-                }
-            }
-            
-            // 5. Size filter (plot size categories)
-            if (state.filters.size !== 'all') {
-                if (!checkSizeFilter(property.plotSize, state.filters.size)) {
-                    return false;
-                }
-            }
-            
-            return true;
-        });
-        
-        console.log(`Filtered to ${state.filteredProperties.length} properties`);
-        
-        // Update UI
-        renderProperties();
-        
-        // Show/hide no results
-        if (elements.noResults) {
-            elements.noResults.style.display = state.filteredProperties.length ? 'none' : 'block';
-        }
+        return loadProperties(1);
     }
 
-    // ✅ Price filter for land (sale only)
-    function checkPriceFilter(priceNum, filter) {
-        const price = priceNum || 0;
-        
-        // Ranges from HTML: under-500k, 500k-1m, 1m-3m, 3m-10m, over-10m
-        switch(filter) {
-            case 'under-500k':
-                return price <= 500000;
-            case '500k-1m':
-                return price >= 500000 && price <= 1000000;
-            case '1m-3m':
-                return price >= 1000000 && price <= 3000000;
-            case '3m-10m':
-                return price >= 3000000 && price <= 10000000;
-            case 'over-10m':
-                return price > 10000000;
-            default:
-                return true;
-        }
+    // Same rules as the API, for the sample listings shown when it is unreachable
+    function matchesLocalFilters(property) {
+        const { search, location, type, price, size } = state.filters;
+        
+        if (search) {
+            const searchableText = `${property.title} ${formatLocationName(property.location)} ${formatTypeName(property.type)} ${property.description}`.toLowerCase();
+            if (!searchableText.includes(search.toLowerCase())) return false;
+        }
+        if (location !== 'all' && property.location !== location) return false;
+        if (type !== 'all' && !(TYPE_FILTERS[type] || [type]).includes(property.type)) return false;
+        if (price !== 'all' && !inRange(property.priceNum, PRICE_RANGES[price])) return false;
+        if (size !== 'all' && !inRange(property.plotAcres, SIZE_BANDS[size])) return false;
+        return true;
     }
 
-    // ✅ Size filter mapping from select options (originally bedrooms)
-    function checkSizeFilter(plotSize, filter) {
-        if (!plotSize) return false;
-        const sizeStr = plotSize.toLowerCase();
-        
-        // Map select values to expected strings
-        // Options: all,1,2,3,4+
-        // We'll map: 1 -> 50x100, 2 -> 100x100, 3 -> 1/2 Acre, 4+ -> 1 Acre+
-        if (filter === '1') {
-            return sizeStr.includes('50x100');
-        } else if (filter === '2') {
-            return sizeStr.includes('100x100');
-        } else if (filter === '3') {
-            return sizeStr.includes('1/2') || sizeStr.includes('half');
-        } else if (filter === '4+') {
-            return sizeStr.includes('1 acre') || sizeStr.includes('acre') && !sizeStr.includes('1/2');
-        }
-        return true;
+    function inRange(value, range) {
+        if (!range) return true;
+        if (value === null || value === undefined) return false;
+        return (range[0] === null || value >= range[0]) && (range[1] === null || value <= range[1]);
     }
 
     function resetFilters() {
-        state.currentPage = 1;
-        
         // Reset filter inputs
         if (elements.filterSearch) elements.filterSearch.value = '';
         if (elements.locationFilter) elements.locationFilter.value = 'all';
@@ -550,22 +625,16 @@ document.addEventListener('DOMContentLoaded', () => {
     function renderProperties() {
         elements.container.innerHTML = '';
         
-        if (state.filteredProperties.length === 0) {
+        if (state.properties.length === 0) {
             showEmptyState('No properties match your filters');
             if (elements.pagination) elements.pagination.innerHTML = '';
             return;
         }
         
-        // Calculate pagination with safety check
-        const totalPages = Math.ceil(state.filteredProperties.length / CONFIG.itemsPerPage);
-        if (state.currentPage > totalPages) state.currentPage = totalPages || 1;
+        if (elements.noResults) elements.noResults.style.display = 'none';
         
-        const startIndex = (state.currentPage - 1) * CONFIG.itemsPerPage;
-        const endIndex = startIndex + CONFIG.itemsPerPage;
-        const pageProperties = state.filteredProperties.slice(startIndex, endIndex);
-        
-        // Render property cards
-        pageProperties.forEach((property, index) => {
+        // Render property cards for the current page
+        state.properties.forEach((property, index) => {
             const card = createPropertyCard(property, index);
             elements.container.appendChild(card);
         });
@@ -594,6 +663,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Get main image (first image or placeholder)
         const mainImage = property.images?.[0] || getPlaceholderImage(property.type);
         
+        // Highlights from server search are HTML-escaped apart from <mark>
+        const highlights = property.highlights || {};
+        const snippet = highlights.description || highlights.amenities || '';
+        
         card.innerHTML = `
             <div class="property-img">
                 <div class="img-wrapper">
@@ -611,12 +684,16 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
             
             <div class="property-details">
-                <div class="property-price">${property.priceDisplay}</div>
-                <h3 class="property-title">${property.title}</h3>
+                <div class="property-price">
+                    ${property.priceDisplay}
+                    ${property.priceReduction ? `<span class="price-reduced">Reduced ${property.priceReduction.percent}%</span>` : ''}
+                </div>
+                <h3 class="property-title">${highlights.title || property.title}</h3>
                 
                 <div class="property-location">
                     <i class="fas fa-map-marker-alt"></i> ${formatLocationName(property.location)}
                 </div>
+                ${snippet ? `<p class="property-snippet">${snippet}</p>` : ''}
                 
                 <div class="property-features">
                     <!-- Land features only -->
@@ -632,12 +709,16 @@ document.addEventListener('DOMContentLoaded', () => {
                             <span>${property.titleType}</span>
                         </div>
                     ` : ''}
+                    ${property.plotSummary ? `
+                        <div class="feature" title="Plots Available">
+                            <i class="fas fa-th"></i>
+                            <span>${property.plotSummary.label}</span>
+                        </div>
+                    ` : ''}
                 </div>
                 
                 <div class="property-ctas">
-                    <a href="https://wa.me/${property.whatsapp}?text=${encodeURIComponent(
-                        `Hi, I'm interested in "${property.title}" (Listing ID: ${property.id}) at ${formatLocationName(property.location)}. Price: ${property.priceDisplay}`
-                    )}" 
+                    <a href="https://wa.me/${property.whatsapp}?text=${encodeURIComponent(getWhatsAppMessage(property))}" 
                        class="btn btn-whatsapp" 
                        target="_blank"
                        rel="noopener">
@@ -660,7 +741,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function renderPagination() {
         if (!elements.pagination) return;
         
-        const totalPages = Math.ceil(state.filteredProperties.length / CONFIG.itemsPerPage);
+        const totalPages = state.meta.pages;
         
         if (totalPages <= 1) {
             elements.pagination.innerHTML = '';
@@ -701,11 +782,15 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Add click handlers
         elements.pagination.querySelectorAll('.pagination-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
+            btn.addEventListener('click', async () => {
                 const page = parseInt(btn.dataset.page);
                 if (!isNaN(page)) {
-                    state.currentPage = page;
-                    renderProperties();
+                    // The sample fallback pages locally; API results fetch the page
+                    if (state.meta.sample) {
+                        showSampleProperties(page);
+                    } else {
+                        await loadProperties(page);
+                    }
                     window.scrollTo({ top: elements.container.offsetTop - 100, behavior: 'smooth' });
                 }
             });
@@ -718,6 +803,9 @@ document.addEventListener('DOMContentLoaded', () => {
         
         if (!property || !elements.modalBody) return;
         
+        // Shareable address bar link for this listing
+        setListingUrl(property);
+        
         // Initialize gallery state
         const galleryState = {
             currentIndex: 0,
@@ -783,6 +871,16 @@ document.addEventListener('DOMContentLoaded', () => {
                         <strong><i class="fas fa-expand"></i> Plot Size:</strong>
                         <span>${property.plotSize}</span>
                     </div>` : ''}
+                    ${property.priceReduction ? `
+                    <div class="info-item">
+                        <strong><i class="fas fa-arrow-down"></i> Price Reduced:</strong>
+                        <span>${property.priceReduction.percent}% (was ${formatPrice(property.priceReduction.from)})</span>
+                    </div>` : ''}
+                    ${property.pricePerAcre ? `
+                    <div class="info-item">
+                        <strong><i class="fas fa-calculator"></i> Price per Acre:</strong>
+                        <span>${formatPrice(property.pricePerAcre)}</span>
+                    </div>` : ''}
                     ${property.titleType ? `
                     <div class="info-item">
                         <strong><i class="fas fa-file-contract"></i> Title Type:</strong>
@@ -794,6 +892,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     </div>
                 </div>
                 
+                ${property.plots.length ? renderPlotList(property) : ''}
+                
                 ${property.description ? `
                     <div class="modal-section">
                         <h3><i class="fas fa-align-left"></i> Description</h3>
@@ -837,9 +937,7 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
             
             <div class="modal-actions">
-                <a href="https://wa.me/${property.whatsapp}?text=${encodeURIComponent(
-                    `Hi, I'm interested in "${property.title}" (Listing ID: ${property.id}) at ${formatLocationName(property.location)}. Price: ${property.priceDisplay}`
-                )}" 
+                <a href="https://wa.me/${property.whatsapp}?text=${encodeURIComponent(getWhatsAppMessage(property))}" 
                    class="btn btn-whatsapp" 
                    target="_blank"
                    rel="noopener">
@@ -850,6 +948,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 </a>
             </div>`;
         
+        if (property.plots.length) attachPlotListHandlers();
+        
         // Open modal
         elements.modal.classList.add('active');
         document.body.style.overflow = 'hidden';
@@ -952,6 +1052,63 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 50);
     }
 
+    // ========== SUBDIVISION PLOTS ==========
+    const PLOT_FILTERS = ['all', 'available', 'reserved', 'sold'];
+
+    function renderPlotList(property) {
+        const summary = property.plotSummary;
+        const rows = property.plots.map(plot => `
+            <tr class="plot-row plot-${plot.status}" data-status="${plot.status}">
+                <td><strong>${escapeHtml(plot.number)}</strong></td>
+                <td>${escapeHtml(plot.plotSize || '—')}</td>
+                <td>${formatPrice(plot.priceNum, plot.price)}</td>
+                <td><span class="plot-status ${plot.status}">${plot.status}</span></td>
+                <td>
+                    ${plot.status === 'available' ? `
+                        <a href="https://wa.me/${property.whatsapp}?text=${encodeURIComponent(getPlotWhatsAppMessage(property, plot))}"
+                           class="btn btn-whatsapp btn-small"
+                           target="_blank"
+                           rel="noopener">
+                            <i class="fab fa-whatsapp"></i> Enquire
+                        </a>` : ''}
+                </td>
+            </tr>`).join('');
+        
+        return `
+            <div class="modal-section plot-list">
+                <h3><i class="fas fa-th"></i> Plots <span class="plot-summary">${summary ? summary.label : ''}</span></h3>
+                <div class="plot-filters" role="group" aria-label="Filter plots">
+                    ${PLOT_FILTERS.map(filter => `
+                        <button type="button" class="plot-filter ${filter === 'all' ? 'active' : ''}" data-filter="${filter}">
+                            ${filter.charAt(0).toUpperCase() + filter.slice(1)}
+                            ${summary && filter !== 'all' ? `(${summary[filter]})` : ''}
+                        </button>`).join('')}
+                </div>
+                <div class="plot-table-wrapper">
+                    <table class="plot-table">
+                        <thead>
+                            <tr><th>Plot</th><th>Size</th><th>Price</th><th>Status</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>`;
+    }
+
+    function attachPlotListHandlers() {
+        const section = elements.modalBody.querySelector('.plot-list');
+        if (!section) return;
+        section.querySelectorAll('.plot-filter').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const filter = btn.dataset.filter;
+                section.querySelectorAll('.plot-filter').forEach(b => b.classList.toggle('active', b === btn));
+                section.querySelectorAll('.plot-row').forEach(row => {
+                    row.style.display = filter === 'all' || row.dataset.status === filter ? '' : 'none';
+                });
+            });
+        });
+    }
+
     function closeModal() {
         console.log('Closing modal');
         
@@ -962,6 +1119,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         elements.modal.classList.remove('active');
         document.body.style.overflow = 'auto';
+        setListingUrl(null);
         document.documentElement.style.overflow = 'auto';
         
         const metaViewport = document.querySelector('meta[name="viewport"]');
@@ -1022,6 +1180,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 location: "kitengela",
                 type: "land-res",
                 plotSize: "50x100 ft",
+                plotArea: { sqm: 464.52, acres: 0.1148 },
                 titleType: "Freehold",
                 amenities: ["Gated community", "Water", "Electricity nearby"],
                 verificationChecklist: ["Title search done", "Survey confirmed", "No disputes"],
@@ -1038,6 +1197,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 location: "ngong",
                 type: "land-comm",
                 plotSize: "100x100 ft",
+                plotArea: { sqm: 929.03, acres: 0.2296 },
                 titleType: "Freehold",
                 amenities: ["Road access", "Near tarmac"],
                 verificationChecklist: ["Title search done", "Zoning confirmed"],
@@ -1054,6 +1214,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 location: "athi-river",
                 type: "ranch",
                 plotSize: "5 Acres",
+                plotArea: { sqm: 20234.28, acres: 5 },
                 titleType: "Freehold",
                 amenities: ["Fenced", "Water borehole"],
                 verificationChecklist: ["Title search done", "Beaconed"],
@@ -1102,6 +1263,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // Search jump
         if (elements.heroSearch) {
             elements.heroSearch.addEventListener('focus', jumpToSearch);
+            elements.heroSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    jumpToSearch();
+                }
+            });
         }
         if (elements.searchJumpBtn) {
             elements.searchJumpBtn.addEventListener('click', jumpToSearch);
@@ -1109,10 +1276,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Filters
         if (elements.applyFiltersBtn) {
-            elements.applyFiltersBtn.addEventListener('click', () => {
-                state.currentPage = 1;
-                applyFilters();
-            });
+            elements.applyFiltersBtn.addEventListener('click', () => applyFilters());
         }
         if (elements.resetFiltersBtn) {
             elements.resetFiltersBtn.addEventListener('click', resetFilters);
@@ -1121,9 +1285,8 @@ document.addEventListener('DOMContentLoaded', () => {
             elements.resetFiltersBtn2.addEventListener('click', resetFilters);
         }
         
-        // Filter change events
+        // Filter change events (the search box refetches as you type, below)
         const filterElements = [
-            elements.filterSearch,
             elements.locationFilter,
             elements.typeFilter,
             elements.priceFilter,
@@ -1132,19 +1295,13 @@ document.addEventListener('DOMContentLoaded', () => {
         
         filterElements.forEach(filter => {
             if (filter) {
-                filter.addEventListener('change', () => {
-                    state.currentPage = 1;
-                    applyFilters();
-                });
+                filter.addEventListener('change', () => applyFilters());
             }
         });
         
         // Search input with debounce
         if (elements.filterSearch) {
-            elements.filterSearch.addEventListener('input', debounce(() => {
-                state.currentPage = 1;
-                applyFilters();
-            }, 300));
+            elements.filterSearch.addEventListener('input', debounce(() => applyFilters(), 300));
         }
         
         // Modal close events
@@ -1214,6 +1371,7 @@ document.addEventListener('DOMContentLoaded', () => {
             setTimeout(() => {
                 if (elements.heroSearch && elements.heroSearch.value.trim()) {
                     elements.filterSearch.value = elements.heroSearch.value.trim();
+                    applyFilters();
                 }
                 elements.filterSearch.focus();
             }, 350);
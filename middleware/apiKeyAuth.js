@@ -0,0 +1,105 @@
+// middleware/apiKeyAuth.js
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const ApiKey = require('../models/ApiKey');
+const Admin = require('../models/Admin');
+const authMiddleware = require('./authMiddleware');
+const { sendAuthError } = authMiddleware;
+const { hashToken } = require('../utils/authTokens');
+
+const KEY_PREFIX = 'upk_';
+
+// upk_<8 char id>_<secret>; the id part is safe to show in lists
+const generateApiKey = () => {
+  const id = crypto.randomBytes(6).toString('base64url').substring(0, 8);
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}${id}_${secret}`;
+  return { key, prefix: `${KEY_PREFIX}${id}`, keyHash: hashToken(key) };
+};
+
+// X-API-Key header, or "Authorization: ApiKey <key>"
+const getApiKeyFromRequest = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('ApiKey ')) return authHeader.substring(7).trim();
+  return null;
+};
+
+// Per-key limit, counted by key id rather than IP
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `apikey:${req.apiKey._id}`,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.',
+    code: 'API_KEY_RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+const apiKeyAuth = (scope) => async (req, res, next) => {
+  const rawKey = getApiKeyFromRequest(req);
+  if (!rawKey) {
+    return sendAuthError(res, 401, 'API key required', 'NO_API_KEY');
+  }
+
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+    if (!apiKey || !apiKey.isActive()) {
+      return sendAuthError(res, 401, 'API key is not valid', 'INVALID_API_KEY');
+    }
+    if (scope && !apiKey.hasScope(scope)) {
+      return sendAuthError(res, 403, `API key is missing the ${scope} scope`, 'INSUFFICIENT_SCOPE');
+    }
+
+    const admin = await Admin.findById(apiKey.createdBy).select('-password');
+    if (!admin || !admin.active) {
+      return sendAuthError(res, 401, 'API key owner is no longer active', 'INVALID_API_KEY');
+    }
+
+    req.apiKey = apiKey;
+    req.admin = admin;
+
+    // Usage stats are best-effort and must not slow the request down
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } }
+    ).catch(err => console.error('❌ Failed to update API key usage:', err.message));
+
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    console.error('❌ API key auth error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Admin JWT or an API key carrying `scope`
+const authenticate = (scope) => (req, res, next) => {
+  if (getApiKeyFromRequest(req)) return apiKeyAuth(scope)(req, res, next);
+  return authMiddleware(req, res, next);
+};
+
+// Public routes: anonymous is fine, but a presented key must be valid and in scope
+const optionalApiKey = (scope) => (req, res, next) => {
+  if (!getApiKeyFromRequest(req)) return next();
+  return apiKeyAuth(scope)(req, res, next);
+};
+
+// Public reads that show more to signed-in admins (e.g. unpublished listings)
+const optionalAuth = (scope) => (req, res, next) => {
+  if (getApiKeyFromRequest(req)) return apiKeyAuth(scope)(req, res, next);
+  if ((req.headers.authorization || '').startsWith('Bearer ')) return authMiddleware(req, res, next);
+  return next();
+};
+
+module.exports = {
+  generateApiKey,
+  apiKeyAuth,
+  authenticate,
+  optionalApiKey,
+  optionalAuth
+};
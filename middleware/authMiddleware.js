@@ -1,33 +1,87 @@
-const jwt = require('jsonwebtoken');
-const Admin = require('../models/admin');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { verifyAccessToken, verifyChallengeToken } = require('../utils/authTokens');
 
-// Secret key for signing JWTs
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
+// Consistent JSON body for every 401/403 raised by the auth layer
+const sendAuthError = (res, status, message, code) => {
+    return res.status(status).json({ success: false, message, code });
+};
 
-module.exports = async function authMiddleware(req, res, next) {
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
+async function authMiddleware(req, res, next) {
+    // Get token from header
+    const authHeader = req.headers.authorization;
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ message: 'No token provided, authorization denied' });
-        }
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return sendAuthError(res, 401, 'No token provided, authorization denied', 'NO_TOKEN');
+    }
 
-        const token = authHeader.split(' ')[1];
+    const token = authHeader.split(' ')[1];
 
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
+    let decoded;
+    try {
+        decoded = verifyAccessToken(token);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return sendAuthError(res, 401, 'Token has expired, please log in again', 'TOKEN_EXPIRED');
+        }
+        return sendAuthError(res, 401, 'Token is not valid', 'INVALID_TOKEN');
+    }
 
+    try {
         // Attach admin info to request
         const admin = await Admin.findById(decoded.id).select('-password');
         if (!admin) {
-            return res.status(401).json({ message: 'Admin not found, authorization denied' });
+            return sendAuthError(res, 401, 'Admin not found, authorization denied', 'ADMIN_NOT_FOUND');
+        }
+
+        if (!admin.active) {
+            return sendAuthError(res, 403, 'Account is disabled', 'ACCOUNT_DISABLED');
         }
 
+        // Access tokens are bound to a session so logout/revoke takes effect immediately
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (!session || !session.isActive() || session.admin.toString() !== admin._id.toString()) {
+            return sendAuthError(res, 401, 'Session has ended, please log in again', 'SESSION_REVOKED');
+        }
+
+        req.authSession = session;
+
         req.admin = admin; // accessible in controller
         next();
     } catch (err) {
-        console.error(err);
-        res.status(401).json({ message: 'Token is not valid' });
+        console.error('❌ Auth middleware error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
-};
+}
+
+// 2FA enrolment accepts either a normal access token or the '2fa-setup'
+// challenge handed out by login when an admin's role requires 2FA
+async function twoFactorSetupAuth(req, res, next) {
+    const challengeToken = req.body && req.body.challengeToken;
+    if (!challengeToken) return authMiddleware(req, res, next);
+
+    let decoded;
+    try {
+        decoded = verifyChallengeToken(challengeToken, '2fa-setup');
+    } catch (err) {
+        return sendAuthError(res, 401, 'Setup link has expired, please log in again', 'INVALID_CHALLENGE');
+    }
+
+    try {
+        const admin = await Admin.findById(decoded.id);
+        if (!admin || !admin.active) {
+            return sendAuthError(res, 401, 'Admin not found, authorization denied', 'ADMIN_NOT_FOUND');
+        }
+
+        req.admin = admin;
+        req.isSetupChallenge = true;
+        next();
+    } catch (err) {
+        console.error('❌ Auth middleware error:', err);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+}
+
+module.exports = authMiddleware;
+module.exports.sendAuthError = sendAuthError;
+module.exports.twoFactorSetupAuth = twoFactorSetupAuth;
@@ -0,0 +1,96 @@
+// middleware/permissions.js
+const LandListing = require('../models/LandListing');
+const { sendAuthError } = require('./authMiddleware');
+
+// What each role may do. Agents are further limited to listings they created.
+const ROLE_PERMISSIONS = {
+  owner: ['listings:create', 'listings:update', 'listings:update:any', 'listings:pricing', 'listings:publish', 'listings:delete', 'maintenance:run', 'admins:manage', 'apikeys:manage', 'audit:read'],
+  agent: ['listings:create', 'listings:update', 'listings:pricing'],
+  editor: ['listings:update', 'listings:update:any'],
+  viewer: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Fields that need 'listings:pricing' to change
+const PRICING_FIELDS = ['price', 'priceNum', 'status'];
+
+const hasPermission = (admin, permission) => {
+  const granted = ROLE_PERMISSIONS[admin && admin.role] || [];
+  return granted.includes(permission);
+};
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.admin, permission));
+  if (missing.length > 0) {
+    return sendAuthError(res, 403, `Your role (${req.admin.role}) is not allowed to perform this action`, 'FORBIDDEN');
+  }
+  next();
+};
+
+const ownsListing = (admin, listing) => {
+  return Boolean(listing.createdBy) && listing.createdBy.toString() === admin._id.toString();
+};
+
+const canModifyListing = (admin, listing) => {
+  return hasPermission(admin, 'listings:update:any') || ownsListing(admin, listing);
+};
+
+// Update operators ($set, $unset, ...) and dotted paths would slip past the
+// per-field checks below, so nobody may send them
+const isOperatorKey = (key) => key.startsWith('$') || key.includes('.');
+
+// Restricted fields present in `updates` whose value would actually change
+const blockedFieldChanges = (admin, listing, updates) => {
+  const operatorKeys = Object.keys(updates).filter(isOperatorKey);
+  if (operatorKeys.length > 0) return operatorKeys;
+  if (hasPermission(admin, 'listings:pricing')) return [];
+  return PRICING_FIELDS.filter(field => {
+    if (updates[field] === undefined) return false;
+    return String(updates[field]).toLowerCase() !== String(listing[field]).toLowerCase();
+  });
+};
+
+// Loads req.listing and checks ownership and field-level rules for an update
+const authorizeListingUpdate = async (req, res, next) => {
+  try {
+    const listing = await LandListing.findById(req.params.id);
+    if (!listing) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+
+    if (listing.deletedAt) {
+      return res.status(409).json({ success: false, message: 'Listing is in the trash. Restore it before making changes' });
+    }
+
+    if (!canModifyListing(req.admin, listing)) {
+      return sendAuthError(res, 403, 'You can only edit listings you created', 'FORBIDDEN');
+    }
+
+    const blocked = blockedFieldChanges(req.admin, listing, req.body || {});
+    if (blocked.length > 0) {
+      return sendAuthError(res, 403, `Your role (${req.admin.role}) cannot change: ${blocked.join(', ')}`, 'FORBIDDEN_FIELDS');
+    }
+
+    req.listing = listing;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid listing ID format' });
+    }
+    console.error('❌ Permission check failed:', error);
+    res.status(500).json({ success: false, message: 'Permission check failed' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PRICING_FIELDS,
+  hasPermission,
+  requirePermission,
+  canModifyListing,
+  blockedFieldChanges,
+  isOperatorKey,
+  authorizeListingUpdate
+};
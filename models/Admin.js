@@ -1,8 +1,155 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { decryptSecret, verifyTotp, hashRecoveryCode } = require('../utils/twoFactor');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
 
 const adminSchema = new mongoose.Schema({
-  username: { type: String, unique: true },
-  password: String
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    minlength: [3, 'Username must be at least 3 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required']
+  },
+  // Admins from before roles existed have none stored; run
+  // `npm run migrate:admin-roles` once to make them owners
+  role: {
+    type: String,
+    enum: {
+      values: ['owner', 'agent', 'editor', 'viewer'],
+      message: 'Role must be one of owner, agent, editor, viewer'
+    },
+    default: 'viewer'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Two-factor authentication (TOTP). Secrets are stored encrypted.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String
+  },
+  twoFactorPendingSecret: {
+    type: String
+  },
+  twoFactorLastStep: {
+    type: Number,
+    default: 0
+  },
+  recoveryCodes: [{
+    type: String
+  }],
+  passwordChangedAt: {
+    type: Date
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Hash the password whenever it is set to a plaintext value
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || this.constructor.isPasswordHashed(this.password)) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+    this.passwordChangedAt = Date.now();
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
-module.exports = mongoose.model('Admin', adminSchema);
+adminSchema.methods.comparePassword = function(candidate) {
+  if (!this.password || !this.constructor.isPasswordHashed(this.password)) {
+    // Unmigrated plaintext passwords are never accepted
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(candidate, this.password);
+};
+
+adminSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+adminSchema.methods.unlock = function() {
+  this.lockedUntil = undefined;
+  this.failedLoginCount = 0;
+  return this.save();
+};
+
+// Checks a TOTP code against the active (or pending) secret; rejects replays
+adminSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const stored = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  if (!stored) return false;
+
+  const step = verifyTotp(decryptSecret(stored), code);
+  if (step === null || step <= (this.twoFactorLastStep || 0)) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Consumes a single-use recovery code
+adminSchema.methods.useRecoveryCode = function(code) {
+  const index = (this.recoveryCodes || []).indexOf(hashRecoveryCode(code));
+  if (index === -1) return false;
+  this.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+adminSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastStep = 0;
+  this.recoveryCodes = [];
+};
+
+adminSchema.statics.isPasswordHashed = function(value) {
+  return typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+};
+
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.recoveryCodes;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+adminSchema.statics.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+const Admin = mongoose.model('Admin', adminSchema);
+module.exports = Admin;
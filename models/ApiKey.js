@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// leads:write is granted ahead of the lead capture endpoints; no route checks it yet
+const API_KEY_SCOPES = ['listings:read', 'listings:write', 'leads:write'];
+
+// Keys for partners and automation. Only the SHA-256 hash is stored; the
+// prefix is kept so a key can be recognised in lists and logs.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    index: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [10000, 'Rate limit cannot exceed 10000 requests per minute']
+  },
+  // Requests made with the key act as this admin (for permissions and audit)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+apiKeySchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+module.exports = ApiKey;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Who changed what on a listing. Written once, never updated.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    index: true
+  },
+  actorUsername: {
+    type: String,
+    index: true
+  },
+  actorRole: {
+    type: String
+  },
+  // Set when the change came in through an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  apiKeyName: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true,
+    // delete = moved to trash, purge = permanently removed by the retention job
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'image-add', 'image-remove'],
+    index: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandListing',
+    index: true
+  },
+  listingTitle: {
+    type: String
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+auditLogSchema.index({ listing: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+module.exports = AuditLog;
@@ -1,4 +1,116 @@
 const mongoose = require('mongoose');
+const { parsePlotSize, computePricePerAcre } = require('../utils/plotSize');
+const { slugify } = require('../utils/slug');
+const { extractCoordinatesFromMapLink, toGeoPoint } = require('../utils/geo');
+const { priceChangeEntry, priceReduction } = require('../utils/priceHistory');
+
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  // [longitude, latitude]
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: v => v.length === 2 && v[0] >= -180 && v[0] <= 180 && v[1] >= -90 && v[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Surveyed parcel outline (GeoJSON) uploaded from KML/GPX/GeoJSON
+const boundarySchema = new mongoose.Schema({
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  },
+  sourceFormat: {
+    type: String,
+    enum: ['kml', 'gpx', 'geojson']
+  },
+  sourceFilename: String,
+  surveyedSqm: Number,
+  surveyedAcres: Number,
+  // Surveyed vs plotArea, in percent
+  areaDifferencePercent: Number,
+  areaWithinTolerance: Boolean,
+  overlaps: [{
+    _id: false,
+    listing: { type: mongoose.Schema.Types.ObjectId, ref: 'LandListing' },
+    title: String,
+    overlapSqm: Number
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PLOT_STATUSES = ['available', 'reserved', 'sold'];
+
+// One plot of a subdivision, tracked inside its parent project listing
+const subdivisionPlotSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'Plot number is required'],
+    trim: true
+  },
+  plotSize: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: v => !v || Boolean(parsePlotSize(v)),
+      message: props => `Plot size "${props.value}" is not recognised`
+    }
+  },
+  plotArea: {
+    sqm: { type: Number },
+    acres: { type: Number }
+  },
+  price: {
+    type: String,
+    trim: true
+  },
+  priceNum: {
+    type: Number,
+    required: [true, 'Plot price is required'],
+    min: [0, 'Price must be positive']
+  },
+  status: {
+    type: String,
+    enum: PLOT_STATUSES,
+    default: 'available',
+    lowercase: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+subdivisionPlotSchema.pre('validate', function(next) {
+  this.plotArea = parsePlotSize(this.plotSize) || undefined;
+  if (!this.price && this.priceNum) this.price = `KES ${this.priceNum.toLocaleString()}`;
+  next();
+});
+
+function geoFromMapLink(mapLink) {
+  const coords = extractCoordinatesFromMapLink(mapLink);
+  return coords ? toGeoPoint(coords.lat, coords.lng) : null;
+}
 
 const landListingSchema = new mongoose.Schema({
   title: {
@@ -7,6 +119,19 @@ const landListingSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Public URL key, derived from the title
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Previous slugs, kept so old links can redirect
+  slugHistory: {
+    type: [String],
+    index: true
+  },
   location: {
     type: String,
     required: [true, 'Location is required'],
@@ -28,6 +153,40 @@ const landListingSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Publication workflow, separate from the sale status above.
+  // Listings saved before the workflow existed have none and count as published.
+  publicationStatus: {
+    type: String,
+    enum: ['draft', 'review', 'published', 'archived'],
+    index: true
+  },
+  publishAt: {
+    type: Date,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+  // Latest reviewer comment, e.g. why it was sent back
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comment cannot exceed 1000 characters']
+  },
+  publicationHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'archived', 'expired']
+    },
+    from: String,
+    to: String,
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    actorUsername: String,
+    comment: String,
+    at: { type: Date, default: Date.now }
+  }],
   price: {
     type: String,
     required: [true, 'Price display string is required']
@@ -38,10 +197,40 @@ const landListingSchema = new mongoose.Schema({
     min: [0, 'Price must be positive'],
     index: true
   },
+  // Every priceNum change; the first entry (from: null) is the opening price
+  priceHistory: [{
+    _id: false,
+    from: { type: Number, default: null },
+    to: { type: Number, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    changedByUsername: { type: String }
+  }],
+  // Last price cut, cleared by a rise; backs the "recently reduced" filter
+  priceReducedAt: {
+    type: Date,
+    index: true
+  },
+  // Display string as entered, e.g. "1/8 acre" or "50x100"
   plotSize: {
     type: String,
     required: [true, 'Plot size is required'],
-    trim: true
+    trim: true,
+    validate: {
+      validator: function(v) {
+        // Legacy listings keep their free-text size until it is edited
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('plotSize')) {
+          return true;
+        }
+        return parsePlotSize(v) !== null;
+      },
+      message: 'Plot size "{VALUE}" is not recognised. Use e.g. "1/8 acre", "2.5 acres", "0.4 ha", "500 sqm" or "50x100"'
+    }
+  },
+  // Normalized area parsed from plotSize, used for range filters and sorting
+  plotArea: {
+    sqm: { type: Number },
+    acres: { type: Number, index: true }
   },
   titleType: {
     type: String,
@@ -60,6 +249,32 @@ const landListingSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Pin for "near me" search; set directly or read from mapLink
+  geo: {
+    type: geoPointSchema,
+    default: undefined
+  },
+  boundary: {
+    type: boundarySchema,
+    default: undefined
+  },
+  // Child plots of a subdivision-ready project; managed via /api/listings/:id/plots
+  plots: {
+    type: [subdivisionPlotSchema],
+    validate: [
+      {
+        validator: function(plots) {
+          if (!(this instanceof mongoose.Document) || !plots.length) return true;
+          return this.type === 'subdivision-ready';
+        },
+        message: 'Only subdivision-ready listings can have plots'
+      },
+      {
+        validator: plots => new Set(plots.map(plot => String(plot.number).toLowerCase())).size === plots.length,
+        message: 'Plot numbers must be unique within a subdivision'
+      }
+    ]
+  },
   mapLink: {
     type: String,
     trim: true,
@@ -93,6 +308,25 @@ const landListingSchema = new mongoose.Schema({
   cloudinaryPublicIds: [{
     type: String
   }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    index: true
+  },
+  // Trash: set on delete, purged by the retention job after purgeAfter
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  purgeAfter: {
+    type: Date,
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -102,16 +336,133 @@ const landListingSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+landListingSchema.virtual('pricePerAcre').get(function() {
+  return computePricePerAcre(this.priceNum, this.plotArea && this.plotArea.acres);
+});
+
+// { reduced, percent, from, to, amount, at, days } when cut within PRICE_DROP_DAYS
+landListingSchema.virtual('priceReduction').get(function() {
+  return priceReduction(this);
+});
+
+// { total, available, reserved, sold, label: "12 of 40 plots left" } for subdivisions
+landListingSchema.virtual('plotSummary').get(function() {
+  if (!this.plots || !this.plots.length) return null;
+  const count = status => this.plots.filter(plot => plot.status === status).length;
+  const summary = {
+    total: this.plots.length,
+    available: count('available'),
+    reserved: count('reserved'),
+    sold: count('sold')
+  };
+  summary.label = `${summary.available} of ${summary.total} plots left`;
+  return summary;
 });
 
 landListingSchema.index({ location: 1, type: 1, status: 1 });
 landListingSchema.index({ priceNum: 1 });
 landListingSchema.index({ createdAt: -1 });
+landListingSchema.index({ geo: '2dsphere' });
+landListingSchema.index({ 'boundary.geometry': '2dsphere' });
+// Full-text search; title and location matches rank above description hits
+landListingSchema.index(
+  { title: 'text', location: 'text', amenities: 'text', description: 'text' },
+  { name: 'listing_text_search', weights: { title: 10, location: 6, amenities: 3, description: 1 } }
+);
+
+landListingSchema.statics.PLOT_STATUSES = PLOT_STATUSES;
+
+// Slug from text that is not taken by another listing's current or old slug.
+// `reserved` holds slugs already handed out in the same batch (imports).
+landListingSchema.statics.generateUniqueSlug = async function(text, excludeId, reserved = new Set()) {
+  const base = slugify(text);
+  let candidate = base;
+  let suffix = 2;
+
+  while (reserved.has(candidate) || await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug: candidate }, { slugHistory: candidate }]
+  })) {
+    candidate = `${base}-${suffix++}`;
+  }
+  return candidate;
+};
+
+// New slug plus the history to store, or null when the slug is unchanged
+async function nextSlugState(Model, title, doc) {
+  const slug = await Model.generateUniqueSlug(title, doc._id);
+  if (slug === doc.slug) return null;
+
+  const slugHistory = (doc.slugHistory || []).filter(old => old !== slug);
+  if (doc.slug) slugHistory.push(doc.slug);
+  return { slug, slugHistory };
+}
+
+landListingSchema.pre('save', async function() {
+  if (this.slug && !this.isModified('title')) return;
+
+  const state = await nextSlugState(this.constructor, this.title, this);
+  if (state) {
+    this.slug = state.slug;
+    this.slugHistory = state.slugHistory;
+  }
+});
 
-landListingSchema.pre('save', function(next) {
+// Derived fields run on validate so insertMany (imports) fills them too
+landListingSchema.pre('validate', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew && !this.publicationStatus) {
+    this.publicationStatus = 'draft';
+  }
+  if (this.isNew && !this.priceHistory.length) {
+    const opening = priceChangeEntry(null, this.priceNum, { _id: this.createdBy }, this.createdAt);
+    if (opening) this.priceHistory.push(opening);
+  }
+  if (this.isModified('plotSize') || !this.plotArea || this.plotArea.acres === undefined) {
+    this.plotArea = parsePlotSize(this.plotSize) || undefined;
+  }
+  // Explicit coordinates win; otherwise fall back to the map link's pin
+  if (!this.isModified('geo') && (this.isModified('mapLink') || !this.geo)) {
+    const geo = geoFromMapLink(this.mapLink);
+    if (geo) this.geo = geo;
+  }
   next();
 });
 
+// Keep plotArea and geo in sync for findByIdAndUpdate / findOneAndUpdate
+landListingSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+  if (target.plotSize !== undefined) {
+    target.plotArea = parsePlotSize(target.plotSize) || undefined;
+  }
+  if (target.geo === undefined && target.mapLink) {
+    const geo = geoFromMapLink(target.mapLink);
+    if (geo) target.geo = geo;
+  }
+  next();
+});
+
+// Renames through findByIdAndUpdate also move the slug
+landListingSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+  if (target.title === undefined) return;
+
+  const doc = await this.model.findOne(this.getQuery()).select('slug slugHistory');
+  if (!doc) return;
+
+  const state = await nextSlugState(this.model, target.title, doc);
+  if (state) {
+    target.slug = state.slug;
+    target.slugHistory = state.slugHistory;
+  }
+});
+
 const LandListing = mongoose.model('LandListing', landListingSchema);
 module.exports = LandListing;
\ No newline at end of file
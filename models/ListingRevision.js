@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Numbered snapshot of a listing after each change. Written once, never updated.
+const listingRevisionSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LandListing',
+    required: true
+  },
+  rev: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // baseline = state of a listing that existed before revisions were kept
+  action: {
+    type: String,
+    required: true,
+    enum: ['baseline', 'create', 'update', 'revert']
+  },
+  // Set on revert revisions
+  revertedFrom: {
+    type: Number
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  actorUsername: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+listingRevisionSchema.index({ listing: 1, rev: -1 }, { unique: true });
+
+const ListingRevision = mongoose.model('ListingRevision', listingRevisionSchema);
+module.exports = ListingRevision;
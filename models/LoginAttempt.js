@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Every admin login attempt, successful or not. Kept for 90 days.
+const loginAttemptSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  ip: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    // 'pending' while the attempt is being checked (counts as a failure)
+    enum: ['pending', 'ok', 'missing-fields', 'unknown-user', 'bad-password', 'bad-2fa-code', 'locked', 'disabled', 'ip-blocked'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ username: 1, success: 1, createdAt: -1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+module.exports = LoginAttempt;
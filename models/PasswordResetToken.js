@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset token. Only the SHA-256 hash is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  requestedIp: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Expired tokens are removed by Mongo
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+module.exports = PasswordResetToken;
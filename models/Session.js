@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token rotates on every use;
+// only its SHA-256 hash is stored.
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+// Let Mongo drop sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.statics.revokeAllForAdmin = function(adminId, reason = 'revoked') {
+  return this.updateMany(
+    { admin: adminId, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+};
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.previousTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const {
+    listAdmins,
+    unlockAdmin,
+    listLoginAttempts
+} = require('../Controllers/adminController');
+
+// Owner-only account management
+router.use(authMiddleware, requirePermission('admins:manage'));
+
+router.get('/', listAdmins);
+router.get('/login-attempts', listLoginAttempts);
+router.post('/:id/unlock', unlockAdmin);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const {
+    listApiKeys,
+    createApiKey,
+    updateApiKey,
+    revokeApiKey
+} = require('../Controllers/apiKeyController');
+
+// Owner-only, and only with a real admin session (never with an API key)
+router.use(authMiddleware, requirePermission('apikeys:manage'));
+
+router.get('/', listApiKeys);
+router.post('/', createApiKey);
+router.patch('/:id', updateApiKey);
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
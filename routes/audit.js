@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissions');
+const { listAuditLogs } = require('../Controllers/auditController');
+
+router.get('/', authMiddleware, requirePermission('audit:read'), listAuditLogs);
+
+module.exports = router;
@@ -1,38 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const Admin = require('../models/admin'); // Your admin model
-const dotenv = require('dotenv');
-dotenv.config();
+const rateLimit = require('express-rate-limit');
+const authMiddleware = require('../middleware/authMiddleware');
+const { twoFactorSetupAuth } = authMiddleware;
+const {
+    login,
+    verifyTwoFactorLogin,
+    refresh,
+    logout,
+    me,
+    listSessions,
+    revokeSession,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    forgotPassword,
+    resetPassword
+} = require('../Controllers/authController');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
+// Reset emails are cheap to request and expensive to receive
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many password reset requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: { trustProxy: false }
+});
 
 // Admin login
-router.post('/login', async (req, res) => {
-    const { username, password } = req.body;
-
-    if (!username || !password) {
-        return res.status(400).json({ message: 'Please provide username and password' });
-    }
-
-    try {
-        // Find admin by username
-        const admin = await Admin.findOne({ username });
-        if (!admin) return res.status(401).json({ message: 'Invalid credentials' });
-
-        // Check password
-        if (password !== admin.password) {
-            return res.status(401).json({ message: 'Invalid credentials' });
-        }
-
-        // Create JWT
-        const token = jwt.sign({ id: admin._id }, JWT_SECRET, { expiresIn: '1d' });
-
-        res.json({ token, message: 'Login successful' });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Server error' });
-    }
-});
+router.post('/login', login);
+
+// Second login step when 2FA is enabled
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+// Rotate refresh token / get a new access token
+router.post('/refresh', refresh);
+
+// Revoke the current session
+router.post('/logout', authMiddleware, logout);
+
+// Current admin (token check for the dashboard)
+router.get('/me', authMiddleware, me);
+
+// Active sessions (per-device revoke)
+router.get('/sessions', authMiddleware, listSessions);
+router.delete('/sessions/:id', authMiddleware, revokeSession);
+
+// Forgotten password
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.post('/reset-password', passwordResetLimiter, resetPassword);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/setup', twoFactorSetupAuth, setupTwoFactor);
+router.post('/2fa/enable', twoFactorSetupAuth, enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, regenerateRecoveryCodes);
 
 module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { requirePermission, authorizeListingUpdate } = require('../middleware/permissions');
+const { BOUNDARY_FORMATS } = require('../utils/boundary');
+const {
+    uploadBoundary,
+    removeBoundary,
+    listBoundaryOverlaps
+} = require('../Controllers/boundaryController');
+
+const boundaryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (BOUNDARY_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only boundary files are allowed (kml, gpx, geojson)'));
+        }
+    }
+});
+
+// Wrong file type or an oversized file is a bad request, not a server error
+const acceptBoundaryFile = (req, res, next) => boundaryUpload.single('boundary')(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, message: err.message, code: 'UPLOAD_ERROR' });
+    next();
+});
+
+router.get('/boundaries/overlaps', authMiddleware, requirePermission('listings:update'), listBoundaryOverlaps);
+
+router.put(
+    '/:id/boundary',
+    authenticate('listings:write'),
+    requirePermission('listings:update'),
+    authorizeListingUpdate,
+    acceptBoundaryFile,
+    uploadBoundary
+);
+router.delete(
+    '/:id/boundary',
+    authenticate('listings:write'),
+    requirePermission('listings:update'),
+    authorizeListingUpdate,
+    removeBoundary
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { bulkUpdateListings } = require('../Controllers/bulkController');
+
+// Permissions depend on the action, so the controller checks them
+router.post('/bulk', authenticate('listings:write'), bulkUpdateListings);
+
+module.exports = router;
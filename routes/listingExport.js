@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { exportListings } = require('../Controllers/exportController');
+
+router.get('/export', authMiddleware, exportListings);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { requirePermission } = require('../middleware/permissions');
+const { IMPORT_FORMATS } = require('../utils/listingImport');
+const { importListings } = require('../Controllers/importController');
+
+const sheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only import files are allowed (csv, xlsx, json)'));
+        }
+    }
+});
+
+// Wrong file type or an oversized file is a bad request, not a server error
+const acceptImportFile = (req, res, next) => sheetUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, message: err.message, code: 'UPLOAD_ERROR' });
+    next();
+});
+
+router.post(
+    '/import',
+    authenticate('listings:write'),
+    requirePermission('listings:create'),
+    acceptImportFile,
+    importListings
+);
+
+module.exports = router;
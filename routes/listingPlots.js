@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuth } = require('../middleware/apiKeyAuth');
+const { requirePermission, authorizeListingUpdate } = require('../middleware/permissions');
+const {
+    listPlots,
+    addPlots,
+    updatePlot,
+    removePlot
+} = require('../Controllers/plotController');
+
+const canEdit = [authenticate('listings:write'), requirePermission('listings:update'), authorizeListingUpdate];
+
+router.get('/:id/plots', optionalAuth('listings:read'), listPlots);
+router.post('/:id/plots', canEdit, addPlots);
+router.patch('/:id/plots/:plotId', canEdit, updatePlot);
+router.delete('/:id/plots/:plotId', canEdit, removePlot);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { requirePermission, authorizeListingUpdate } = require('../middleware/permissions');
+const {
+    submitForReview,
+    approveListing,
+    rejectListing,
+    archiveListing,
+    listReviewQueue
+} = require('../Controllers/publicationController');
+
+// Review decisions need a real owner session, never an API key
+const reviewer = [authMiddleware, requirePermission('listings:publish')];
+
+router.get('/review-queue', reviewer, listReviewQueue);
+router.post('/:id/submit', authenticate('listings:write'), requirePermission('listings:update'), authorizeListingUpdate, submitForReview);
+router.post('/:id/approve', reviewer, approveListing);
+router.post('/:id/reject', reviewer, rejectListing);
+router.post('/:id/archive', reviewer, archiveListing);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { requirePermission, authorizeListingUpdate } = require('../middleware/permissions');
+const { listRevisions, revertRevision } = require('../Controllers/revisionController');
+
+const canEdit = [authenticate('listings:write'), requirePermission('listings:update'), authorizeListingUpdate];
+
+router.get('/:id/revisions', canEdit, listRevisions);
+router.post('/:id/revisions/:rev/revert', canEdit, revertRevision);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/apiKeyAuth');
+const { requirePermission } = require('../middleware/permissions');
+const { listTrash, restoreListing } = require('../Controllers/trashController');
+
+const canDelete = [authenticate('listings:write'), requirePermission('listings:delete')];
+
+router.get('/trash', canDelete, listTrash);
+router.post('/:id/restore', canDelete, restoreListing);
+
+module.exports = router;
@@ -1,4 +1,4 @@
-// routes/listingsRoutes.js
+// routes/propertyRoutes.js
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
@@ -7,6 +7,11 @@ const { v4: uuidv4 } = require('uuid');
 const cloudinary = require('cloudinary').v2;
 const { body, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const authMiddleware = require('../middleware/authMiddleware');
+const { authenticate, optionalAuth } = require('../middleware/apiKeyAuth');
+const { requirePermission, authorizeListingUpdate } = require('../middleware/permissions');
+const { parsePlotSize } = require('../utils/plotSize');
+const { parseList } = require('../utils/lists');
 
 // ================= RATE LIMITING =================
 const apiLimiter = rateLimit({
@@ -30,9 +35,13 @@ const uploadLimiter = rateLimit({
   message: {
     success: false,
     message: 'Too many upload requests, please try again later.'
-  }
+  },
+  // JSON edits share the add/update routes but upload nothing
+  skip: (req) => !req.is('multipart/form-data')
 });
 
+const MAX_IMAGES = 10;
+
 // ================= CLOUDINARY CONFIG =================
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -41,29 +50,69 @@ cloudinary.config({
 });
 
 // ================= VALIDATION SCHEMAS (LAND-ONLY) =================
-const listingValidation = [
-  body('title').notEmpty().trim().withMessage('Title is required'),
-  body('location').notEmpty().trim().withMessage('Location is required'),
-  body('type')
-    .notEmpty()
-    .isIn(['land-res', 'land-comm', 'ranch', 'plot', 'subdivision-ready', 'title-deed-ready'])
-    .withMessage('Valid land type is required'),
-  body('price').notEmpty().withMessage('Price is required'),
-  body('priceNum').isNumeric().withMessage('Price must be a number'),
-  body('plotSize').notEmpty().trim().withMessage('Plot size is required'),
-  body('titleType').optional().trim(),
-  body('status').isIn(['available', 'sold', 'reserved']).withMessage('Valid status is required'),
-  body('whatsapp').optional().isMobilePhone().withMessage('Valid WhatsApp number required'),
-  body('amenities').optional().isArray(),
-  body('verificationChecklist').optional().isArray(),
-  body('documentsAvailable').optional().isArray(),
-  body('mapLink').optional().isURL().withMessage('Map link must be a valid URL'),
-];
+// Multipart forms send lists as JSON or "a, b" strings
+const toList = (value) => (Array.isArray(value) ? value : parseList(String(value || '')));
+
+// optional() mutates a chain, so add and update each get their own chains
+const buildListingValidation = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('title').notEmpty().trim().withMessage('Title is required'),
+    field('location').notEmpty().trim().withMessage('Location is required'),
+    field('type')
+      .notEmpty()
+      .isIn(['land-res', 'land-comm', 'ranch', 'plot', 'subdivision-ready', 'title-deed-ready'])
+      .withMessage('Valid land type is required'),
+    field('price').notEmpty().withMessage('Price is required'),
+    field('priceNum').isNumeric().withMessage('Price must be a number'),
+    field('plotSize').notEmpty().trim().withMessage('Plot size is required')
+      .custom(value => parsePlotSize(value) !== null)
+      .withMessage('Plot size is not recognised. Use e.g. "1/8 acre", "2.5 acres", "0.4 ha", "500 sqm" or "50x100"'),
+    body('titleType').optional().trim(),
+    body('status').optional().isIn(['available', 'sold', 'reserved']).withMessage('Valid status is required'),
+    body('whatsapp').optional({ values: 'falsy' }).isMobilePhone().withMessage('Valid WhatsApp number required'),
+    body('amenities').optional().customSanitizer(toList).isArray(),
+    body('verificationChecklist').optional().customSanitizer(toList).isArray(),
+    body('documentsAvailable').optional().customSanitizer(toList).isArray(),
+    body('mapLink').optional({ values: 'falsy' }).isURL().withMessage('Map link must be a valid URL'),
+  ];
+};
+
+const listingValidation = buildListingValidation();
+const listingUpdateValidation = buildListingValidation({ partial: true });
 
 const idValidation = [
   param('id').isMongoId().withMessage('Valid MongoDB ID required')
 ];
 
+// Runs after the validators it reports on
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Multipart edits from the admin panel send the fields as one JSON "data" part
+const unpackDataField = (req, res, next) => {
+  if (!req.body || typeof req.body.data !== 'string') return next();
+  try {
+    const { data, ...fields } = req.body;
+    req.body = { ...fields, ...JSON.parse(data) };
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'The data field must be valid JSON'
+    });
+  }
+};
+
 // ================= STREAMING UPLOAD TO CLOUDINARY =================
 const uploadToCloudinary = (buffer, folder = 'unipro/listings') => {
   return new Promise((resolve, reject) => {
@@ -100,14 +149,14 @@ const uploadToCloudinary = (buffer, folder = 'unipro/listings') => {
 const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|webp/;
+  const allowedTypes = /jpeg|jpg|png|webp|gif/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   const mimetype = allowedTypes.test(file.mimetype);
   
   if (mimetype && extname) {
     cb(null, true);
   } else {
-    cb(new Error('Only JPEG, PNG, and WebP images are allowed'));
+    cb(new Error('Only JPEG, PNG, WebP and GIF images are allowed'));
   }
 };
 
@@ -116,8 +165,8 @@ const upload = multer({
   fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB per file
-    files: 5,
-    parts: 20
+    files: MAX_IMAGES,
+    parts: 40
   }
 });
 
@@ -210,18 +259,19 @@ const processUploadedImages = async (req, res, next) => {
   }
 };
 
-// ================= CONTROLLERS (to be updated) =================
-// These controllers should be updated to use the LandListing model and new fields.
-// For now we import them (they need to be adjusted separately)
+// ================= CONTROLLERS =================
 const {
   addListing,
   getListings,
+  searchListings,
+  getNearbyListings,
+  getListingBySlug,
   getListingById,
   updateListing,
   deleteListing,
   deleteImage,
   debugInfo
-} = require('../Controllers/listingController'); // <-- rename from propertyController
+} = require('../Controllers/listingController');
 
 // ================= ERROR HANDLER =================
 const handleControllerError = (controllerFn) => async (req, res, next) => {
@@ -242,6 +292,10 @@ const handleControllerError = (controllerFn) => async (req, res, next) => {
         message: 'Validation failed',
         errors: Object.values(error.errors).map(e => e.message)
       }),
+      CastError: () => res.status(400).json({
+        success: false,
+        message: 'Invalid listing ID format'
+      }),
       MongoError: () => error.code === 11000 ? res.status(409).json({
         success: false,
         message: 'Duplicate entry found',
@@ -251,6 +305,8 @@ const handleControllerError = (controllerFn) => async (req, res, next) => {
         message: 'Database error',
         code: 'MONGO_ERROR'
       }),
+      // Mongoose 7 reports driver errors as MongoServerError
+      MongoServerError: () => errorResponses.MongoError(),
       MulterError: () => res.status(400).json({
         success: false,
         message: error.message,
@@ -285,7 +341,7 @@ router.get('/health', (req, res) => {
         },
         limits: {
           fileSize: '5MB',
-          maxFiles: '5',
+          maxFiles: String(MAX_IMAGES),
           rateLimit: '100 requests/15min'
         }
       });
@@ -303,7 +359,7 @@ router.get('/health', (req, res) => {
     });
 });
 
-router.get('/info', async (req, res) => {
+router.get('/info', authMiddleware, requirePermission('maintenance:run'), async (req, res) => {
   try {
     const LandListing = require('../models/LandListing');
     const listingCount = await LandListing.countDocuments();
@@ -343,7 +399,7 @@ router.get('/info', async (req, res) => {
 });
 
 // ================= SAMPLE DATA =================
-router.post('/sample', uploadLimiter, async (req, res) => {
+router.post('/sample', authenticate('listings:write'), requirePermission('maintenance:run'), uploadLimiter, async (req, res) => {
   try {
     const LandListing = require('../models/LandListing');
     
@@ -404,7 +460,7 @@ router.post('/sample', uploadLimiter, async (req, res) => {
 });
 
 // ================= DEBUG ROUTES =================
-router.get('/debug/cloudinary', async (req, res) => {
+router.get('/debug/cloudinary', authMiddleware, requirePermission('maintenance:run'), async (req, res) => {
   try {
     const resources = await cloudinary.api.resources({
       type: 'upload',
@@ -432,9 +488,9 @@ router.get('/debug/cloudinary', async (req, res) => {
   }
 });
 
-router.get('/debug/info', handleControllerError(debugInfo));
+router.get('/debug/info', authMiddleware, requirePermission('maintenance:run'), handleControllerError(debugInfo));
 
-router.post('/test/upload', uploadLimiter, upload.array('images', 2), async (req, res) => {
+router.post('/test/upload', authMiddleware, requirePermission('maintenance:run'), uploadLimiter, upload.array('images', 2), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -468,28 +524,27 @@ router.post('/test/upload', uploadLimiter, upload.array('images', 2), async (req
 // ================= MAIN API ROUTES =================
 
 // GET all listings
-router.get('/', handleControllerError(getListings));
+router.get('/', optionalAuth('listings:read'), handleControllerError(getListings));
+
+// GET full-text search and distance search (same filters as GET /)
+router.get('/search', optionalAuth('listings:read'), handleControllerError(searchListings));
+router.get('/near', optionalAuth('listings:read'), handleControllerError(getNearbyListings));
+
+// GET single listing by slug (old slugs 301 to the current one)
+router.get('/by-slug/:slug', optionalAuth('listings:read'), handleControllerError(getListingBySlug));
 
 // GET single listing with validation
-router.get('/:id', idValidation, handleControllerError(getListingById));
+router.get('/:id', optionalAuth('listings:read'), idValidation, checkValidation, handleControllerError(getListingById));
 
-// POST add new listing with validation
+// POST add new listing with validation (images are uploaded once the fields pass)
 router.post('/add',
+  authenticate('listings:write'),
+  requirePermission('listings:create'),
   uploadLimiter,
-  upload.array('images', 5),
-  processUploadedImages,
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  },
+  upload.array('images', MAX_IMAGES),
   listingValidation,
+  checkValidation,
+  processUploadedImages,
   handleControllerError(async (req, res) => {
     console.log('📝 Adding new listing');
     console.log(`🖼️ Images to attach: ${req.processedFiles?.length || 0}`);
@@ -498,55 +553,52 @@ router.post('/add',
   })
 );
 
-// PUT update listing with validation
-router.put('/:id',
+// PATCH/PUT update listing with validation (all fields optional)
+const updateListingHandlers = [
+  authenticate('listings:write'),
+  requirePermission('listings:update'),
   uploadLimiter,
-  upload.array('images', 5),
-  processUploadedImages,
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  },
+  upload.array('images', MAX_IMAGES),
+  unpackDataField,
   idValidation,
-  listingValidation.map(validation => validation.optional()), // All fields optional for update
+  checkValidation,
+  authorizeListingUpdate,
+  listingUpdateValidation,
+  checkValidation,
+  processUploadedImages,
   handleControllerError(async (req, res) => {
     console.log(`📝 Updating listing ${req.params.id}`);
     console.log(`🖼️ New images to add: ${req.processedFiles?.length || 0}`);
     
     await updateListing(req, res);
   })
-);
+];
+router.patch('/:id', updateListingHandlers);
+router.put('/:id', updateListingHandlers);
 
 // DELETE image from listing
 router.delete('/:id/image',
+  authenticate('listings:write'),
+  requirePermission('listings:update'),
   idValidation,
+  checkValidation,
+  authorizeListingUpdate,
   [body('publicId').notEmpty().withMessage('Cloudinary publicId is required')],
+  checkValidation,
   handleControllerError(deleteImage)
 );
 
-// DELETE listing
+// DELETE listing (moves it to the trash)
 router.delete('/:id',
+  authenticate('listings:write'),
+  requirePermission('listings:delete'),
   idValidation,
+  checkValidation,
   handleControllerError(deleteListing)
 );
 
 // ================= CLEANUP ROUTE (ADMIN) =================
-router.post('/admin/cleanup', async (req, res) => {
-  const adminToken = req.headers['x-admin-token'];
-  if (adminToken !== process.env.ADMIN_TOKEN) {
-    return res.status(403).json({
-      success: false,
-      message: 'Unauthorized'
-    });
-  }
-  
+router.post('/admin/cleanup', authMiddleware, requirePermission('maintenance:run'), async (req, res) => {
   try {
     const result = await cloudinary.api.delete_resources_by_prefix('unipro/test');
     res.json({
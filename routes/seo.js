@@ -2,14 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const LandListing = require('../models/LandListing');
-
-function parseAcreSize(sizeStr) {
-  if (!sizeStr) return null;
-  const frac = sizeStr.match(/(\d+)\/(\d+)/);
-  if (frac) return parseInt(frac[1]) / parseInt(frac[2]);
-  const num = sizeStr.match(/([\d.]+)/);
-  return num ? parseFloat(num[1]) : null;
-}
+const { publicListingFilter } = require('../utils/publication');
 
 function getAvailability(status) {
   if (!status) return "https://schema.org/InStock";
@@ -27,7 +20,7 @@ function mapListingType(type) {
 
 router.get('/jsonld', async (req, res) => {
   try {
-    const listings = await LandListing.find();
+    const listings = await LandListing.find(publicListingFilter());
 
     const graph = [];
 
@@ -51,9 +44,10 @@ router.get('/jsonld', async (req, res) => {
       const schemaType = mapListingType(l.type);
       const images = Array.isArray(l.images) ? l.images : [];
 
-      // Construct the canonical URL for this listing
-      // Adjust if your frontend uses a different pattern
-      const listingUrl = `https://uniprorealestate.co.ke/properties.html?id=${l._id}`;
+      // Canonical URL for this listing; slugs are stable across renames via redirects
+      const listingUrl = l.slug
+        ? `https://uniprorealestate.co.ke/properties.html?listing=${encodeURIComponent(l.slug)}`
+        : `https://uniprorealestate.co.ke/properties.html?id=${l._id}`;
 
       graph.push({
         "@type": schemaType,
@@ -66,11 +60,11 @@ router.get('/jsonld', async (req, res) => {
           "addressLocality": l.location,
           "addressCountry": "KE"
         },
-        // Plot size in acres (if parseable)
-        ...(l.plotSize ? {
+        // Plot size in acres (normalized on save; legacy free text may not parse)
+        ...(l.plotArea && l.plotArea.acres ? {
           "floorSize": {
             "@type": "QuantitativeValue",
-            "value": parseAcreSize(l.plotSize),
+            "value": l.plotArea.acres,
             "unitCode": "ACR"
           }
         } : {}),
@@ -0,0 +1,35 @@
+// scripts/assignAdminRoles.js
+// One-time migration for the admin roles release: admins created before roles
+// existed have no role stored and would otherwise fall back to `viewer`,
+// losing access to everything they managed. Run once right after deploying:
+//   npm run migrate:admin-roles
+// Every admin without a stored role becomes an `owner`; adjust afterwards with
+//   node scripts/manageAdmins.js role <username> <owner|agent|editor|viewer>
+// Safe to re-run; admins that already have a role are left alone.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+async function assignAdminRoles() {
+  console.log('👤 Assigning roles to admins created before roles existed...');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const missingRole = { $or: [{ role: { $exists: false } }, { role: null }, { role: '' }] };
+  const admins = await Admin.find(missingRole).select('username').lean();
+
+  if (admins.length) {
+    await Admin.updateMany(missingRole, { $set: { role: 'owner' } });
+    admins.forEach(admin => console.log(`✅ ${admin.username} is now an owner`));
+  }
+
+  const total = await Admin.countDocuments();
+  console.log(`\n🎉 Migration complete: ${admins.length}/${total} admins updated`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+assignAdminRoles().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+// scripts/backfillListings.js
+// Re-saves every listing so pre-save hooks fill in derived fields
+// (plotArea, slug) on documents created before those fields existed, marks
+// pre-workflow listings as published and seeds the opening price history
+// entry. Safe to re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const LandListing = require('../models/LandListing');
+const { priceChangeEntry } = require('../utils/priceHistory');
+
+async function backfillListings() {
+  console.log('🔄 Backfilling derived listing fields...');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const listings = await LandListing.find();
+  let updated = 0;
+  const failures = [];
+
+  for (const listing of listings) {
+    // One legacy listing that fails validation must not stop the rest
+    try {
+      listing.plotArea = undefined;
+      if (!listing.publicationStatus) listing.publicationStatus = 'published';
+      if (!listing.priceHistory.length) {
+        const opening = priceChangeEntry(null, listing.priceNum, { _id: listing.createdBy }, listing.createdAt);
+        if (opening) listing.priceHistory.push(opening);
+      }
+      await listing.save();
+      updated++;
+    } catch (error) {
+      const reason = error.name === 'ValidationError'
+        ? Object.values(error.errors).map(err => err.message).join('; ')
+        : error.message;
+      failures.push({ id: listing._id, title: listing.title, reason });
+      console.error(`❌ ${listing._id} (${listing.title}): ${reason}`);
+    }
+  }
+
+  console.log(`\n🎉 Backfill complete: ${updated}/${listings.length} listings updated`);
+  if (failures.length) {
+    console.log(`\n⚠️ ${failures.length} listings could not be saved; fix them and re-run:`);
+    failures.forEach(({ id, title, reason }) => console.log(`   ${id} ${title}: ${reason}`));
+  }
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+backfillListings().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -4,6 +4,8 @@ const axios = require('axios');
 async function verifyDeployment() {
   // Use environment variable or default to your production URL
   const baseUrl = process.env.API_URL || 'https://uniprorealestate.co.ke';
+  // Scoped API key (listings:read, listings:write) so no admin password is needed
+  const apiKey = process.env.API_KEY;
   
   const tests = [
     { name: 'Health Check', endpoint: '/api/listings/health', method: 'GET' },
@@ -12,6 +14,7 @@ async function verifyDeployment() {
   ];
   
   console.log('🔍 Running deployment verification for Unipro Real Estate...');
+  if (!apiKey) console.log('⚠️ API_KEY not set; write checks will be rejected');
   
   for (const test of tests) {
     try {
@@ -19,6 +22,7 @@ async function verifyDeployment() {
         method: test.method,
         url: baseUrl + test.endpoint,
         timeout: 10000,
+        headers: apiKey ? { 'X-API-Key': apiKey } : {},
         // For POST sample, we don't need body; it handles internally
       });
       
@@ -0,0 +1,34 @@
+// scripts/hashAdminPasswords.js
+// One-time migration: bcrypt-hash any admin passwords still stored in plaintext.
+// Safe to re-run; already hashed passwords are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+
+async function hashAdminPasswords() {
+  console.log('🔐 Hashing plaintext admin passwords...');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const admins = await Admin.find();
+  let migrated = 0;
+
+  for (const admin of admins) {
+    if (Admin.isPasswordHashed(admin.password)) continue;
+
+    // Re-assigning the plaintext value lets the pre-save hook hash it
+    admin.markModified('password');
+    await admin.save();
+    migrated++;
+    console.log(`✅ Hashed password for: ${admin.username}`);
+  }
+
+  console.log(`\n🎉 Migration complete: ${migrated}/${admins.length} admins updated`);
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+hashAdminPasswords().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
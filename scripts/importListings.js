@@ -0,0 +1,104 @@
+// scripts/importListings.js
+// Usage:
+//   node scripts/importListings.js <file.csv|file.xlsx|file.json> [--as <username>] [--map "<column>=<field>"]... [--commit]
+// Prints a per-row validation report. With --commit the valid rows are saved
+// as drafts in one insert, owned by the --as admin (required to commit).
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const {
+  readSpreadsheet,
+  resolveColumns,
+  validateRows,
+  insertListings,
+  summarize
+} = require('../utils/listingImport');
+const { recordListingCreate } = require('../utils/auditLog');
+const { recordRevision } = require('../utils/revisions');
+
+function parseArgs(argv) {
+  const options = { mapping: {}, commit: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--commit') {
+      options.commit = true;
+    } else if (argv[i] === '--as') {
+      options.as = argv[++i];
+    } else if (argv[i] === '--map') {
+      const [column, field] = String(argv[++i] || '').split('=');
+      options.mapping[column.trim()] = (field || '').trim();
+    } else {
+      options.file = argv[i];
+    }
+  }
+  return options;
+}
+
+function printReport(report, columns, unmapped) {
+  console.log('\n🧭 Column mapping:');
+  Object.entries(columns).forEach(([column, field]) => console.log(`   ${column} -> ${field}`));
+  if (unmapped.length) console.log(`   (ignored: ${unmapped.join(', ')})`);
+
+  const invalid = report.filter(row => !row.valid);
+  if (invalid.length) {
+    console.log('\n⚠️ Rows with errors:');
+    invalid.forEach(row => {
+      console.log(`   Row ${row.row}${row.title ? ` (${row.title})` : ''}: ${row.errors.join('; ')}`);
+    });
+  }
+
+  const summary = summarize(report);
+  console.log(`\n📋 ${summary.validRows} valid, ${summary.invalidRows} invalid, ${summary.totalRows} rows total`);
+  return summary;
+}
+
+async function importListings() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    throw new Error('Usage: node scripts/importListings.js <file.csv|file.xlsx|file.json> [--as <username>] [--map "<column>=<field>"] [--commit]');
+  }
+  if (options.commit && !options.as) {
+    throw new Error('--as <username> is required with --commit so the listings have an owner');
+  }
+
+  const sheet = await readSpreadsheet(fs.readFileSync(options.file), options.file);
+  if (sheet.error) throw new Error(sheet.error);
+
+  const { columns, unmapped, errors } = resolveColumns(sheet.headers, options.mapping);
+  if (errors.length) throw new Error(`Columns could not be mapped:\n   ${errors.join('\n   ')}`);
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let admin = null;
+  if (options.as) {
+    admin = await Admin.findOne({ username: options.as.trim() });
+    if (!admin) throw new Error(`Admin not found: ${options.as}`);
+  }
+
+  const { report, listings } = await validateRows(sheet.rows, columns, admin);
+  printReport(report, columns, unmapped);
+
+  if (!options.commit) {
+    console.log('\n🔍 Dry run only. Re-run with --commit to import the valid rows.');
+  } else if (!listings.length) {
+    console.log('\n⚠️ Nothing to import.');
+  } else {
+    const saved = await insertListings(listings);
+    // Audit entries are attributed to the --as admin
+    const req = { admin, apiKey: null, get: () => 'scripts/importListings.js' };
+    for (const listing of saved) {
+      await recordListingCreate(req, listing);
+      await recordRevision(req, listing, 'create');
+    }
+    console.log(`\n🎉 Imported ${saved.length} listings as drafts`);
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+}
+
+importListings().catch(async error => {
+  console.error('❌ Import failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+// scripts/manageAdmins.js
+// Usage:
+//   node scripts/manageAdmins.js create <username> [--password <pw>] [--role <role>] [--email <address>]
+//   node scripts/manageAdmins.js list
+//   node scripts/manageAdmins.js disable <username>
+//   node scripts/manageAdmins.js enable <username>
+//   node scripts/manageAdmins.js unlock <username>
+//   node scripts/manageAdmins.js reset-2fa <username>   (lost authenticator device)
+//   node scripts/manageAdmins.js reset <username> [--password <pw>]
+//   node scripts/manageAdmins.js role <username> <owner|agent|editor|viewer>
+//   node scripts/manageAdmins.js email <username> <address>   (used for password reset)
+// When --password is omitted a random password is generated and printed once.
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+
+const { MIN_PASSWORD_LENGTH } = Admin;
+
+function parseArgs(argv) {
+  const [command, username, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (['--password', '--role', '--email'].includes(rest[i])) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    } else {
+      options.positional = rest[i];
+    }
+  }
+  return { command, username, options };
+}
+
+function resolvePassword(options) {
+  if (options.password) {
+    if (options.password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return { password: options.password, generated: false };
+  }
+  return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+}
+
+async function findAdminOrFail(username) {
+  if (!username) throw new Error('Username is required');
+  const admin = await Admin.findOne({ username: username.trim() });
+  if (!admin) throw new Error(`Admin "${username}" not found`);
+  return admin;
+}
+
+const commands = {
+  async create(username, options) {
+    if (!username) throw new Error('Username is required');
+    const { password, generated } = resolvePassword(options);
+    const admin = await Admin.create({ username, password, role: options.role, email: options.email });
+    console.log(`✅ Created admin: ${admin.username} (${admin.role})`);
+    if (generated) console.log(`🔑 Generated password (shown once): ${password}`);
+  },
+
+  async list() {
+    const admins = await Admin.find().sort({ username: 1 });
+    if (admins.length === 0) {
+      console.log('No admins found');
+      return;
+    }
+    admins.forEach(admin => {
+      const state = admin.active ? 'active  ' : 'disabled';
+      const hashed = Admin.isPasswordHashed(admin.password) ? '' : ' ⚠️ plaintext password (run migrate:admin-passwords)';
+      const lastLogin = admin.lastLoginAt ? admin.lastLoginAt.toISOString() : 'never';
+      const locked = admin.isLocked() ? ' 🔒 locked' : '';
+      const twoFactor = admin.twoFactorEnabled ? ' 2FA' : '';
+      console.log(`${state}  ${admin.username.padEnd(20)} ${admin.role.padEnd(7)} last login: ${lastLogin}${twoFactor}${locked}${hashed}`);
+    });
+  },
+
+  async disable(username) {
+    const admin = await findAdminOrFail(username);
+    admin.active = false;
+    await admin.save();
+    await Session.revokeAllForAdmin(admin._id, 'admin-disabled');
+    console.log(`🚫 Disabled admin: ${admin.username}`);
+  },
+
+  async enable(username) {
+    const admin = await findAdminOrFail(username);
+    admin.active = true;
+    await admin.save();
+    console.log(`✅ Enabled admin: ${admin.username}`);
+  },
+
+  async unlock(username) {
+    const admin = await findAdminOrFail(username);
+    await admin.unlock();
+    console.log(`🔓 Unlocked admin: ${admin.username}`);
+  },
+
+  async 'reset-2fa'(username) {
+    const admin = await findAdminOrFail(username);
+    admin.clearTwoFactor();
+    await admin.save();
+    await Session.revokeAllForAdmin(admin._id, '2fa-reset');
+    console.log(`🔐 Two-factor authentication cleared for: ${admin.username}`);
+  },
+
+  async reset(username, options) {
+    const admin = await findAdminOrFail(username);
+    const { password, generated } = resolvePassword(options);
+    admin.password = password;
+    await admin.save();
+    await Session.revokeAllForAdmin(admin._id, 'password-reset');
+    console.log(`🔄 Password reset for: ${admin.username}`);
+    if (generated) console.log(`🔑 Generated password (shown once): ${password}`);
+  },
+
+  async role(username, options) {
+    const admin = await findAdminOrFail(username);
+    admin.role = options.positional;
+    await admin.save();
+    console.log(`🎭 ${admin.username} is now: ${admin.role}`);
+  },
+
+  async email(username, options) {
+    const admin = await findAdminOrFail(username);
+    admin.email = options.positional;
+    await admin.save();
+    console.log(`📧 ${admin.username} email set to: ${admin.email}`);
+  }
+};
+
+async function main() {
+  const { command, username, options } = parseArgs(process.argv.slice(2));
+  const handler = commands[command];
+
+  if (!handler) {
+    console.error('Usage: node scripts/manageAdmins.js <create|list|disable|enable|unlock|reset-2fa|reset|role|email> [username] [--password <pw>] [--role <role>] [--email <address>]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await handler(username, options);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    const message = error.code === 11000
+      ? 'Username already exists'
+      : error.name === 'ValidationError'
+        ? Object.values(error.errors).map(e => e.message).join(', ')
+        : error.message;
+    console.error(`❌ ${message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+main();
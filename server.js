@@ -11,7 +11,6 @@ const rateLimit = require('express-rate-limit');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const cloudinary = require('cloudinary').v2;
-const multer = require('multer');
 
 // Load environment variables
 dotenv.config();
@@ -34,6 +33,12 @@ const NODE_ENV = process.env.NODE_ENV || 'production';
 const IS_PRODUCTION = NODE_ENV === 'production';
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
+
+// An unset NODE_ENV is production too; only development/test may skip the secret
+if (!process.env.JWT_SECRET && !['development', 'test'].includes(NODE_ENV)) {
+    console.error('❌ JWT_SECRET must be set outside development. Admin tokens cannot be signed safely without it.');
+    process.exit(1);
+}
 console.log("Loaded Mongo URI:", process.env.MONGODB_URI);
 
 console.log('🚀 =========== UNIPRO REAL ESTATE SERVER ===========');
@@ -85,7 +90,8 @@ app.use(helmet({
 }));
 
 app.use(xss());
-app.use(hpp());
+// type/status accept repeated params (?type=plot&type=ranch)
+app.use(hpp({ whitelist: ['type', 'status'] }));
 
 // ================= RATE LIMITING =================
 const apiLimiter = rateLimit({
@@ -124,7 +130,7 @@ const corsOptions = {
         'http://localhost:8080'
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-API-Key'],
     credentials: true,
     maxAge: 86400,
     optionsSuccessStatus: 200
@@ -185,47 +191,6 @@ app.use((req, res, next) => {
     next();
 });
 
-// ================= MULTER FOR MEMORY STORAGE =================
-const upload = multer({ 
-    storage: multer.memoryStorage(),
-    limits: { 
-        fileSize: 5 * 1024 * 1024, // 5MB
-        files: 10
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|webp|gif/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (extname && mimetype) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed (jpeg, jpg, png, webp, gif)'));
-        }
-    }
-});
-
-// Cloudinary upload helper function
-const uploadToCloudinary = (fileBuffer, folder = 'unipro/listings') => {
-    return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                folder: folder,
-                resource_type: 'auto',
-                transformation: [
-                    { width: 1200, height: 800, crop: 'limit' },
-                    { quality: 'auto' },
-                    { fetch_format: 'auto' }
-                ]
-            },
-            (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-            }
-        );
-        uploadStream.end(fileBuffer);
-    });
-};
-
 // ================= DATABASE CONNECTION =================
 const connectWithRetry = async (retries = 5, delay = 5000) => {
     console.log(`🔗 Attempting MongoDB connection (${retries} retries)...`);
@@ -273,8 +238,26 @@ const connectWithRetry = async (retries = 5, delay = 5000) => {
     }
 };
 
-// ================= LAND LISTING MODEL =================
-const LandListing = require('./models/LandListing');
+// ================= BACKGROUND JOBS =================
+const { startPublicationScheduler } = require('./utils/publication');
+const { startTrashPurgeJob } = require('./utils/trash');
+
+// ================= ROUTES =================
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/admins', require('./routes/admins'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/seo', require('./routes/seo'));
+app.use('/api/listings', require('./routes/listingBoundaries'));
+app.use('/api/listings', require('./routes/listingPublication'));
+app.use('/api/listings', require('./routes/listingTrash'));
+app.use('/api/listings', require('./routes/listingRevisions'));
+app.use('/api/listings', require('./routes/listingImport'));
+app.use('/api/listings', require('./routes/listingExport'));
+app.use('/api/listings', require('./routes/listingBulk'));
+app.use('/api/listings', require('./routes/listingPlots'));
+// Listing CRUD, search and /:id routes last so the paths above take precedence
+app.use('/api/listings', require('./routes/propertyRoutes'));
 
 // ================= API ENDPOINTS =================
 app.get('/', (req, res) => {
@@ -283,6 +266,7 @@ app.get('/', (req, res) => {
         message: 'Unipro Real Estate API Server (Land Only)',
         endpoints: {
             listings: '/api/listings',
+            auth: '/api/auth/login',
             health: '/api/health',
             version: '/api/version'
         },
@@ -361,253 +345,6 @@ app.get('/api/version', (req, res) => {
     });
 });
 
-// GET all listings
-app.get('/api/listings', async (req, res) => {
-    try {
-        console.log('📊 Fetching listings...');
-        
-        let query = {};
-        
-        if (req.query.status) query.status = req.query.status;
-        if (req.query.type) query.type = req.query.type;
-        if (req.query.location) {
-            query.location = { $regex: new RegExp(req.query.location, 'i') };
-        }
-        
-        const listings = await LandListing.find(query)
-            .sort({ createdAt: -1 })
-            .select('-__v');
-        
-        console.log(`✅ Found ${listings.length} listings`);
-        res.json(listings);
-    } catch (error) {
-        console.error('❌ Error fetching listings:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to fetch listings',
-            error: error.message 
-        });
-    }
-});
-
-// GET single listing by ID
-app.get('/api/listings/:id', async (req, res) => {
-    try {
-        const listing = await LandListing.findById(req.params.id).select('-__v');
-        
-        if (!listing) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Listing not found' 
-            });
-        }
-        
-        res.json(listing);
-    } catch (error) {
-        console.error('❌ Error fetching listing:', error);
-        
-        if (error.kind === 'ObjectId') {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid listing ID format'
-            });
-        }
-        
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to fetch listing',
-            error: error.message 
-        });
-    }
-});
-
-// POST create new listing with images
-app.post('/api/listings/add', upload.array('images', 10), async (req, res) => {
-    try {
-        console.log('🆕 Creating new listing...');
-        
-        // Upload images to Cloudinary
-        let uploadedImages = [];
-        let publicIds = [];
-        if (req.files && req.files.length > 0) {
-            console.log(`📸 Uploading ${req.files.length} images to Cloudinary...`);
-            
-            for (const file of req.files) {
-                try {
-                    const result = await uploadToCloudinary(file.buffer, 'unipro/listings');
-                    uploadedImages.push(result.secure_url);
-                    publicIds.push(result.public_id);
-                    console.log(`✅ Uploaded image: ${result.public_id}`);
-                } catch (uploadError) {
-                    console.error('❌ Failed to upload image:', uploadError);
-                }
-            }
-        }
-        
-        // Prepare listing data (land-only)
-        const listingData = {
-            title: req.body.title,
-            location: req.body.location,
-            type: req.body.type,
-            status: req.body.status || 'available',
-            price: req.body.price || `KES ${parseInt(req.body.priceNum || 0).toLocaleString()}`,
-            priceNum: parseFloat(req.body.priceNum) || 0,
-            plotSize: req.body.plotSize || req.body.size || '',
-            titleType: req.body.titleType || '',
-            description: req.body.description || '',
-            whatsapp: req.body.whatsapp || '254704564880',
-            images: uploadedImages,
-            cloudinaryPublicIds: publicIds,
-            amenities: req.body.amenities ? (Array.isArray(req.body.amenities) ? req.body.amenities : JSON.parse(req.body.amenities)) : [],
-            verificationChecklist: req.body.verificationChecklist ? JSON.parse(req.body.verificationChecklist) : [],
-            documentsAvailable: req.body.documentsAvailable ? JSON.parse(req.body.documentsAvailable) : [],
-            mapLink: req.body.mapLink || ''
-        };
-        
-        // Validate required fields
-        if (!listingData.title || !listingData.location || !listingData.type || !listingData.priceNum) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: title, location, type, price'
-            });
-        }
-        
-        const listing = new LandListing(listingData);
-        await listing.save();
-        
-        console.log(`✅ Listing created: ${listing.title} (ID: ${listing._id})`);
-        
-        res.status(201).json({
-            success: true,
-            message: 'Listing created successfully',
-            listing: listing
-        });
-    } catch (error) {
-        console.error('❌ Error creating listing:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                message: 'Validation error',
-                errors: errors
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Failed to create listing',
-            error: error.message
-        });
-    }
-});
-
-// PATCH update listing
-app.patch('/api/listings/:id', async (req, res) => {
-    try {
-        console.log(`✏️ Updating listing ${req.params.id}...`);
-        
-        const existingListing = await LandListing.findById(req.params.id);
-        if (!existingListing) {
-            return res.status(404).json({
-                success: false,
-                message: 'Listing not found'
-            });
-        }
-        
-        const updates = req.body;
-        delete updates._id;
-        delete updates.createdAt;
-        delete updates.__v;
-        updates.updatedAt = Date.now();
-        
-        // Parse arrays if they come as strings
-        if (updates.amenities && typeof updates.amenities === 'string') {
-            updates.amenities = JSON.parse(updates.amenities);
-        }
-        if (updates.verificationChecklist && typeof updates.verificationChecklist === 'string') {
-            updates.verificationChecklist = JSON.parse(updates.verificationChecklist);
-        }
-        if (updates.documentsAvailable && typeof updates.documentsAvailable === 'string') {
-            updates.documentsAvailable = JSON.parse(updates.documentsAvailable);
-        }
-        
-        const listing = await LandListing.findByIdAndUpdate(
-            req.params.id,
-            updates,
-            { new: true, runValidators: true }
-        ).select('-__v');
-        
-        console.log(`✅ Listing updated: ${listing.title}`);
-        res.json({
-            success: true,
-            message: 'Listing updated successfully',
-            listing: listing
-        });
-    } catch (error) {
-        console.error('❌ Error updating listing:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                message: 'Validation error',
-                errors: errors
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update listing',
-            error: error.message
-        });
-    }
-});
-
-// DELETE listing
-app.delete('/api/listings/:id', async (req, res) => {
-    try {
-        console.log(`🗑️ Deleting listing ${req.params.id}...`);
-        
-        const listing = await LandListing.findById(req.params.id);
-        if (!listing) {
-            return res.status(404).json({
-                success: false,
-                message: 'Listing not found'
-            });
-        }
-        
-        // Delete images from Cloudinary
-        if (listing.cloudinaryPublicIds && listing.cloudinaryPublicIds.length > 0) {
-            console.log(`🧹 Deleting ${listing.cloudinaryPublicIds.length} images from Cloudinary...`);
-            
-            for (const publicId of listing.cloudinaryPublicIds) {
-                try {
-                    await cloudinary.uploader.destroy(publicId);
-                    console.log(`✅ Deleted image: ${publicId}`);
-                } catch (deleteError) {
-                    console.warn('⚠️ Failed to delete image from Cloudinary:', deleteError.message);
-                }
-            }
-        }
-        
-        await LandListing.findByIdAndDelete(req.params.id);
-        
-        console.log(`✅ Listing deleted: ${listing.title}`);
-        res.json({
-            success: true,
-            message: 'Listing deleted successfully'
-        });
-    } catch (error) {
-        console.error('❌ Error deleting listing:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to delete listing',
-            error: error.message
-        });
-    }
-});
-
 // ================= TEST & DEBUG ENDPOINTS =================
 app.get('/api/cors-test', (req, res) => {
     res.json({
@@ -645,8 +382,13 @@ app.get('*', (req, res) => {
             path: req.path,
             availableEndpoints: [
                 '/api/listings',
+                '/api/listings/search?q=',
+                '/api/listings/near?lat=&lng=&radiusKm=',
+                '/api/listings/by-slug/:slug',
                 '/api/listings/:id',
                 '/api/listings/add',
+                '/api/auth/login',
+                '/api/seo/jsonld',
                 '/api/health',
                 '/api/version',
                 '/api/cors-test'
@@ -730,6 +472,8 @@ const startServer = async () => {
         console.log('\n🚀 Starting Unipro Real Estate Server...');
         
         await connectWithRetry();
+        startPublicationScheduler();
+        startTrashPurgeJob();
         
         const server = app.listen(PORT, '0.0.0.0', () => {
             const dbStatus = mongoose.connection.readyState === 1 
@@ -757,11 +501,41 @@ const startServer = async () => {
 🌐 Health:    https://unipro-realestate.onrender.com/health
 
 📊 API Endpoints:
-   - GET    /api/listings           - List all land listings
-   - POST   /api/listings/add       - Add new listing
-   - GET    /api/listings/:id       - Get listing by ID
-   - PATCH  /api/listings/:id       - Update listing
-   - DELETE /api/listings/:id       - Delete listing
+   - GET    /api/listings           - List land listings (filters incl. reduced=true, sort, page/limit)
+   - GET    /api/listings/search?q= - Full-text search with highlights
+   - GET    /api/listings/near?lat=&lng=&radiusKm= - Listings by distance
+   - GET    /api/listings/by-slug/:slug - Get listing by slug (301 from old slugs)
+   - PUT    /api/listings/:id/boundary - Upload KML/GPX/GeoJSON boundary (auth)
+   - DELETE /api/listings/:id/boundary - Remove boundary (auth)
+   - GET    /api/listings/boundaries/overlaps - Overlapping active boundaries (auth)
+   - POST   /api/listings/:id/submit - Submit draft for review (auth)
+   - POST   /api/listings/:id/approve|reject|archive - Review decisions (owner)
+   - GET    /api/listings/review-queue - Listings awaiting review (owner)
+   - POST   /api/auth/login         - Admin login (JWT)
+   - POST   /api/auth/refresh       - Rotate refresh token
+   - POST   /api/auth/logout        - Revoke current session
+   - GET    /api/auth/sessions      - My active sessions
+   - GET    /api/admins/login-attempts - Login attempt log (owner)
+   - POST   /api/admins/:id/unlock  - Unlock admin account (owner)
+   - GET    /api/audit              - Listing audit log (owner)
+   - *      /api/api-keys           - Partner/automation API keys (owner)
+   - POST   /api/listings/add       - Add new listing (auth)
+   - GET    /api/listings/:id       - Get listing by ID (with price history)
+   - PATCH  /api/listings/:id       - Update listing, optional new images (auth; PUT also accepted)
+   - DELETE /api/listings/:id/image - Remove one image (auth)
+   - DELETE /api/listings/:id       - Move listing to trash (auth)
+   - GET    /api/listings/trash     - Trashed listings (auth)
+   - POST   /api/listings/:id/restore - Restore from trash (auth)
+   - POST   /api/listings/import?commit=true - CSV/XLSX/JSON import, dry run by default (auth)
+   - GET    /api/listings/export?format=csv|xlsx|json - Export with list filters (auth)
+   - POST   /api/listings/bulk      - Status/price/amenity/delete on many listings (auth)
+   - GET    /api/listings/:id/plots - Subdivision plots with availability summary
+   - POST   /api/listings/:id/plots - Add subdivision plots (auth)
+   - PATCH  /api/listings/:id/plots/:plotId - Update a plot (auth)
+   - DELETE /api/listings/:id/plots/:plotId - Remove a plot (auth)
+   - GET    /api/listings/:id/revisions - Revision history with diffs (auth)
+   - POST   /api/listings/:id/revisions/:rev/revert - Revert to a revision (auth)
+   - GET    /api/seo/jsonld           - Schema.org JSON-LD for public listings
    - GET    /api/health               - Health check
    - GET    /api/version              - Version info
 
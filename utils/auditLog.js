@@ -0,0 +1,100 @@
+// utils/auditLog.js
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that never belong in a diff (priceNum itself is diffed)
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'priceHistory', 'priceReducedAt', 'priceReduction'];
+const IMAGE_FIELDS = ['images', 'cloudinaryPublicIds'];
+
+// JSON round-trip turns ObjectIds/Dates into comparable plain values
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Field-level diff between two plain listing objects
+const diffListing = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        if (isEqual(before[field], after[field])) return;
+        changes.push({ field, before: normalize(before[field]), after: normalize(after[field]) });
+    });
+
+    return changes;
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {}));
+
+// Never lets an audit failure break the request that triggered it.
+// Background jobs pass req = null and are logged as "system".
+const recordAudit = async (req, { action, listing, changes = [] }) => {
+    try {
+        if (!req) req = { admin: null, apiKey: null, get: () => '' };
+        await AuditLog.create({
+            actor: req.admin ? req.admin._id : undefined,
+            actorUsername: req.admin ? req.admin.username : 'system',
+            actorRole: req.admin ? req.admin.role : undefined,
+            apiKey: req.apiKey ? req.apiKey._id : undefined,
+            apiKeyName: req.apiKey ? req.apiKey.name : undefined,
+            action,
+            listing: listing ? listing._id : undefined,
+            listingTitle: listing ? listing.title : undefined,
+            changes,
+            ip: req.ip,
+            userAgent: (req.get('user-agent') || '').substring(0, 300)
+        });
+    } catch (error) {
+        console.error('❌ Failed to write audit log:', error.message);
+    }
+};
+
+// Splits an update into field changes and separate image add/remove entries
+const recordListingUpdate = async (req, before, after) => {
+    const beforePlain = toPlain(before);
+    const afterPlain = toPlain(after);
+    const changes = diffListing(beforePlain, afterPlain);
+
+    const fieldChanges = changes.filter(change => !IMAGE_FIELDS.includes(change.field));
+    if (fieldChanges.length > 0) {
+        await recordAudit(req, { action: 'update', listing: after, changes: fieldChanges });
+    }
+
+    const beforeImages = beforePlain.images || [];
+    const afterImages = afterPlain.images || [];
+    const added = afterImages.filter(url => !beforeImages.includes(url));
+    const removed = beforeImages.filter(url => !afterImages.includes(url));
+
+    if (added.length > 0) {
+        await recordAudit(req, { action: 'image-add', listing: after, changes: [{ field: 'images', before: null, after: added }] });
+    }
+    if (removed.length > 0) {
+        await recordAudit(req, { action: 'image-remove', listing: after, changes: [{ field: 'images', before: removed, after: null }] });
+    }
+};
+
+const recordListingCreate = (req, listing) => {
+    return recordAudit(req, { action: 'create', listing, changes: diffListing({}, toPlain(listing)) });
+};
+
+const recordListingDelete = (req, listing) => {
+    return recordAudit(req, { action: 'delete', listing, changes: diffListing(toPlain(listing), {}) });
+};
+
+const recordListingRestore = (req, listing) => {
+    return recordAudit(req, { action: 'restore', listing });
+};
+
+const recordListingPurge = (req, listing) => {
+    return recordAudit(req, { action: 'purge', listing });
+};
+
+module.exports = {
+    diffListing,
+    recordAudit,
+    recordListingCreate,
+    recordListingUpdate,
+    recordListingDelete,
+    recordListingRestore,
+    recordListingPurge
+};
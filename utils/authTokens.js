@@ -0,0 +1,73 @@
+// utils/authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Only local development may sign with a throwaway secret; an unset NODE_ENV
+// counts as production, like in server.js. Checked on use, so scripts that
+// load the models but never touch tokens run without it.
+const jwtSecret = () => {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+        throw new Error('JWT_SECRET must be set unless NODE_ENV is development or test');
+    }
+    return 'dev-only-insecure-secret';
+};
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+// A session that has not refreshed for this long is treated as abandoned
+const SESSION_IDLE_DAYS = parseInt(process.env.SESSION_IDLE_DAYS || '7', 10);
+
+const CHALLENGE_TOKEN_TTL = '5m';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (admin, sessionId) => {
+    return jwt.sign(
+        { id: admin._id, username: admin.username, sid: sessionId },
+        jwtSecret(),
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Throws jwt.TokenExpiredError / jwt.JsonWebTokenError on bad tokens
+const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+// Short-lived token proving the password step passed; purpose is '2fa' or '2fa-setup'
+const signChallengeToken = (admin, purpose) => {
+    return jwt.sign({ id: admin._id, purpose }, jwtSecret(), { expiresIn: CHALLENGE_TOKEN_TTL });
+};
+
+const verifyChallengeToken = (token, purpose) => {
+    const decoded = jwt.verify(token, jwtSecret());
+    if (decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError('Wrong challenge purpose');
+    }
+    return decoded;
+};
+
+// Opaque refresh token; only its hash is persisted
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+const isSessionIdle = (session) => {
+    return Date.now() - new Date(session.lastUsedAt).getTime() > SESSION_IDLE_DAYS * DAY_MS;
+};
+
+module.exports = {
+    jwtSecret,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL_DAYS,
+    SESSION_IDLE_DAYS,
+    signAccessToken,
+    verifyAccessToken,
+    signChallengeToken,
+    verifyChallengeToken,
+    generateRefreshToken,
+    hashToken,
+    refreshTokenExpiry,
+    isSessionIdle
+};
@@ -0,0 +1,190 @@
+// utils/boundary.js
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const toGeoJSON = require('@tmcw/togeojson');
+const { area } = require('@turf/area');
+const { intersect } = require('@turf/intersect');
+const { featureCollection } = require('@turf/helpers');
+const { SQM_PER_ACRE } = require('./plotSize');
+
+const BOUNDARY_FORMATS = {
+    '.kml': 'kml',
+    '.gpx': 'gpx',
+    '.geojson': 'geojson',
+    '.json': 'geojson'
+};
+
+// Surveyed vs advertised area difference that gets flagged
+const AREA_TOLERANCE_PERCENT = parseFloat(process.env.BOUNDARY_AREA_TOLERANCE_PERCENT) || 10;
+// Shared beacons make neighbours touch; only real overlaps count
+const MIN_OVERLAP_SQM = 1;
+const COORDINATE_PRECISION = 7;
+
+function roundCoord(value) {
+    const factor = 10 ** COORDINATE_PRECISION;
+    return Math.round(value * factor) / factor;
+}
+
+function isValidPosition(pos) {
+    return Array.isArray(pos) && pos.length >= 2 &&
+        Number.isFinite(pos[0]) && Number.isFinite(pos[1]) &&
+        pos[0] >= -180 && pos[0] <= 180 && pos[1] >= -90 && pos[1] <= 90;
+}
+
+// 2D, rounded, closed ring; null if it cannot form an area
+function toRing(positions) {
+    if (!Array.isArray(positions) || !positions.every(isValidPosition)) return null;
+
+    const ring = positions.map(pos => [roundCoord(pos[0]), roundCoord(pos[1])]);
+    const deduped = ring.filter((pos, i) => i === 0 || pos[0] !== ring[i - 1][0] || pos[1] !== ring[i - 1][1]);
+    const first = deduped[0];
+    const last = deduped[deduped.length - 1];
+    if (deduped.length && (first[0] !== last[0] || first[1] !== last[1])) {
+        deduped.push([first[0], first[1]]);
+    }
+    return deduped.length >= 4 ? deduped : null;
+}
+
+// Polygons from any geometry: polygons as-is, closed tracks/lines as outlines
+function polygonsFromGeometry(geometry) {
+    if (!geometry) return [];
+    switch (geometry.type) {
+        case 'Polygon':
+            return [geometry.coordinates.map(toRing)];
+        case 'MultiPolygon':
+            return geometry.coordinates.map(poly => poly.map(toRing));
+        case 'LineString':
+            return [[toRing(geometry.coordinates)]];
+        case 'MultiLineString':
+            return geometry.coordinates.map(line => [toRing(line)]);
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(polygonsFromGeometry);
+        default:
+            return [];
+    }
+}
+
+function featuresOf(geojson) {
+    if (!geojson) return [];
+    if (geojson.type === 'FeatureCollection') return geojson.features || [];
+    if (geojson.type === 'Feature') return [geojson];
+    return [{ type: 'Feature', geometry: geojson, properties: {} }];
+}
+
+function readGeoJSON(format, text) {
+    if (format === 'geojson') return JSON.parse(text);
+
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    return format === 'kml' ? toGeoJSON.kml(doc) : toGeoJSON.gpx(doc);
+}
+
+/**
+ * Parse an uploaded KML, GPX or GeoJSON boundary into a GeoJSON Polygon
+ * (or MultiPolygon for several parcels). Beacon waypoints with no polygon
+ * or track are joined in file order.
+ * Returns { geometry, format } or { error }.
+ */
+function parseBoundaryFile(buffer, filename) {
+    const format = BOUNDARY_FORMATS[path.extname(filename || '').toLowerCase()];
+    if (!format) {
+        return { error: 'Boundary file must be .kml, .gpx or .geojson' };
+    }
+
+    let geojson;
+    try {
+        geojson = readGeoJSON(format, buffer.toString('utf8'));
+    } catch (error) {
+        return { error: `Could not read ${format.toUpperCase()} file: ${error.message}` };
+    }
+
+    const features = featuresOf(geojson);
+    let polygons = features.flatMap(feature => polygonsFromGeometry(feature.geometry));
+
+    if (!polygons.length) {
+        const beacons = features
+            .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => feature.geometry.coordinates);
+        if (beacons.length >= 3) polygons = [[toRing(beacons)]];
+    }
+
+    polygons = polygons.filter(rings => rings.length && rings.every(Boolean));
+    if (!polygons.length) {
+        return { error: 'No boundary polygon found. Provide a polygon, closed track or at least 3 beacons' };
+    }
+
+    const geometry = polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+    return { geometry, format };
+}
+
+// Vertex average of the outer ring(s), close enough for a map pin
+function boundaryCenter(geometry) {
+    const rings = geometry.type === 'Polygon'
+        ? [geometry.coordinates[0]]
+        : geometry.coordinates.map(poly => poly[0]);
+    const points = rings.flatMap(ring => ring.slice(0, -1));
+    const lng = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+    const lat = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+    return { lat: roundCoord(lat), lng: roundCoord(lng) };
+}
+
+// Surveyed area compared with the advertised plotArea
+function checkBoundaryArea(geometry, plotArea) {
+    const surveyedSqm = Math.round(area(geometry) * 100) / 100;
+    const surveyedAcres = Math.round((surveyedSqm / SQM_PER_ACRE) * 10000) / 10000;
+    const result = { surveyedSqm, surveyedAcres, differencePercent: null, withinTolerance: null };
+
+    if (plotArea && plotArea.sqm) {
+        const difference = ((surveyedSqm - plotArea.sqm) / plotArea.sqm) * 100;
+        result.differencePercent = Math.round(difference * 10) / 10;
+        result.withinTolerance = Math.abs(difference) <= AREA_TOLERANCE_PERCENT;
+    }
+    return result;
+}
+
+function overlapArea(a, b) {
+    try {
+        const shared = intersect(featureCollection([
+            { type: 'Feature', geometry: a, properties: {} },
+            { type: 'Feature', geometry: b, properties: {} }
+        ]));
+        return shared ? area(shared) : 0;
+    } catch (error) {
+        console.warn('⚠️ Overlap check failed:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Other active (available/reserved) listings whose boundary overlaps this one.
+ * Mongo narrows candidates with $geoIntersects; turf measures the overlap.
+ */
+async function findBoundaryOverlaps(Model, geometry, excludeId) {
+    const candidates = await Model.find({
+        _id: { $ne: excludeId },
+        deletedAt: null,
+        status: { $in: ['available', 'reserved'] },
+        'boundary.geometry': { $geoIntersects: { $geometry: geometry } }
+    }).select('title slug status boundary.geometry');
+
+    return candidates
+        .map(other => ({
+            listing: other._id,
+            title: other.title,
+            slug: other.slug,
+            status: other.status,
+            overlapSqm: Math.round(overlapArea(geometry, other.boundary.geometry) * 100) / 100
+        }))
+        .filter(overlap => overlap.overlapSqm >= MIN_OVERLAP_SQM);
+}
+
+module.exports = {
+    parseBoundaryFile,
+    checkBoundaryArea,
+    findBoundaryOverlaps,
+    boundaryCenter,
+    BOUNDARY_FORMATS,
+    AREA_TOLERANCE_PERCENT,
+    MIN_OVERLAP_SQM
+};
@@ -0,0 +1,134 @@
+// utils/bulkActions.js
+const mongoose = require('mongoose');
+const LandListing = require('../models/LandListing');
+const { buildListingQuery } = require('./listingQuery');
+
+const MAX_BULK_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 500;
+const BULK_ACTIONS = ['status', 'price', 'add-amenities', 'remove-amenities', 'delete'];
+// absolute = add value in KES (negative to cut), percent = change by value %
+const PRICE_MODES = ['absolute', 'percent'];
+
+function toList(value) {
+    const values = Array.isArray(value) ? value : String(value || '').split(',');
+    return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Validate the action part of a bulk request.
+ * Returns { action, params } or { error }.
+ */
+function parseBulkAction(body) {
+    const { action } = body;
+    switch (action) {
+        case 'status': {
+            const status = String(body.status || '').toLowerCase();
+            const allowed = LandListing.schema.path('status').enumValues;
+            if (!allowed.includes(status)) {
+                return { error: `status must be one of: ${allowed.join(', ')}` };
+            }
+            return { action, params: { status } };
+        }
+        case 'price': {
+            const adjustment = body.price || {};
+            const value = Number(adjustment.value);
+            if (!PRICE_MODES.includes(adjustment.mode)) {
+                return { error: `price.mode must be one of: ${PRICE_MODES.join(', ')}` };
+            }
+            if (!Number.isFinite(value) || value === 0) {
+                return { error: 'price.value must be a non-zero number' };
+            }
+            if (adjustment.mode === 'percent' && value <= -100) {
+                return { error: 'A percentage cut must be less than 100%' };
+            }
+            return { action, params: { mode: adjustment.mode, value } };
+        }
+        case 'add-amenities':
+        case 'remove-amenities': {
+            const amenities = toList(body.amenities);
+            if (!amenities.length) return { error: 'amenities must list at least one amenity' };
+            return { action, params: { amenities } };
+        }
+        case 'delete':
+            return { action, params: {} };
+        default:
+            return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` };
+    }
+}
+
+/**
+ * Which listings to act on: { ids: [...] } or { filter: { ...GET /api/listings params } }.
+ * Returns { query, ids? } or { error }. An empty filter is refused so a
+ * typo cannot touch every listing.
+ */
+function buildBulkTarget(body) {
+    if (body.ids !== undefined && body.filter !== undefined) {
+        return { error: 'Provide either ids or a filter, not both' };
+    }
+
+    if (body.ids !== undefined) {
+        const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(String))] : [];
+        if (!ids.length) return { error: 'ids must be a non-empty array' };
+        if (ids.length > MAX_BULK_ITEMS) return { error: `At most ${MAX_BULK_ITEMS} listings per request` };
+        const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+        if (invalid.length) return { error: `Invalid listing ID format: ${invalid.join(', ')}` };
+        return { query: { _id: { $in: ids } }, ids };
+    }
+
+    if (body.filter && typeof body.filter === 'object' && !Array.isArray(body.filter)) {
+        const { filter, errors } = buildListingQuery(body.filter);
+        if (errors.length) return { error: errors.join('; ') };
+        if (!Object.keys(filter).length) {
+            return { error: 'filter must include at least one criterion' };
+        }
+        return { query: { ...filter, deletedAt: null } };
+    }
+
+    return { error: 'Provide ids (array) or a filter (object)' };
+}
+
+const adjustedPrice = (priceNum, { mode, value }) => Math.round(
+    mode === 'percent' ? priceNum * (1 + value / 100) : priceNum + value
+);
+
+// Applies any action except delete to a listing document.
+// Returns an error message or null.
+function applyBulkAction(listing, action, params) {
+    switch (action) {
+        case 'status':
+            listing.status = params.status;
+            return null;
+        case 'price': {
+            const next = adjustedPrice(listing.priceNum, params);
+            if (next <= 0) return `Price would drop to KES ${next.toLocaleString()}`;
+            listing.priceNum = next;
+            listing.price = `KES ${next.toLocaleString()}`;
+            return null;
+        }
+        case 'add-amenities': {
+            const have = new Set(listing.amenities.map(a => a.toLowerCase()));
+            params.amenities.forEach(amenity => {
+                if (have.has(amenity.toLowerCase())) return;
+                listing.amenities.push(amenity);
+                have.add(amenity.toLowerCase());
+            });
+            return null;
+        }
+        case 'remove-amenities': {
+            const drop = new Set(params.amenities.map(a => a.toLowerCase()));
+            listing.amenities = listing.amenities.filter(a => !drop.has(a.toLowerCase()));
+            return null;
+        }
+        default:
+            return `Unsupported action: ${action}`;
+    }
+}
+
+module.exports = {
+    parseBulkAction,
+    buildBulkTarget,
+    applyBulkAction,
+    adjustedPrice,
+    BULK_ACTIONS,
+    PRICE_MODES,
+    MAX_BULK_ITEMS
+};
@@ -0,0 +1,78 @@
+// utils/geo.js
+const MAX_RADIUS_KM = 500;
+
+function isValidLatLng(lat, lng) {
+    return Number.isFinite(lat) && Number.isFinite(lng) &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// GeoJSON stores [longitude, latitude]
+function toGeoPoint(lat, lng) {
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+const COORD = '(-?\\d{1,3}(?:\\.\\d+)?)';
+
+// Ordered by how reliably each pattern marks the pin itself
+const MAP_LINK_PATTERNS = [
+    new RegExp(`!3d${COORD}!4d${COORD}`),                    // place data: !3dLAT!4dLNG
+    new RegExp(`[?&](?:q|query|ll|daddr|destination)=${COORD},\\s*${COORD}`),
+    new RegExp(`/place/${COORD},\\s*${COORD}`),
+    new RegExp(`@${COORD},${COORD}`)                         // map viewport centre
+];
+
+/**
+ * Pull coordinates out of a Google Maps URL, e.g.
+ * https://www.google.com/maps/place/.../@-1.4760,36.9612,17z or ...?q=-1.47,36.96.
+ * Short links (maps.app.goo.gl) carry no coordinates and return null.
+ */
+function extractCoordinatesFromMapLink(url) {
+    if (!url) return null;
+    let decoded;
+    try {
+        decoded = decodeURIComponent(String(url));
+    } catch (error) {
+        decoded = String(url);
+    }
+
+    for (const pattern of MAP_LINK_PATTERNS) {
+        const match = decoded.match(pattern);
+        if (!match) continue;
+        const lat = parseFloat(match[1]);
+        const lng = parseFloat(match[2]);
+        if (isValidLatLng(lat, lng)) return { lat, lng };
+    }
+    return null;
+}
+
+/**
+ * Read latitude/longitude (or lat/lng) from a request body.
+ * Returns { point } when both are given and valid, { error } when they are
+ * given but invalid, or {} when the body has no coordinates.
+ */
+function coordinatesFromBody(body = {}) {
+    const rawLat = body.latitude !== undefined ? body.latitude : body.lat;
+    const rawLng = body.longitude !== undefined ? body.longitude : body.lng;
+    const hasLat = rawLat !== undefined && rawLat !== '';
+    const hasLng = rawLng !== undefined && rawLng !== '';
+
+    if (!hasLat && !hasLng) return {};
+    if (hasLat !== hasLng) {
+        return { error: 'Both latitude and longitude are required' };
+    }
+
+    const lat = Number(rawLat);
+    const lng = Number(rawLng);
+    if (!isValidLatLng(lat, lng)) {
+        return { error: 'Latitude must be between -90 and 90 and longitude between -180 and 180' };
+    }
+    return { point: toGeoPoint(lat, lng) };
+}
+
+module.exports = {
+    isValidLatLng,
+    toGeoPoint,
+    extractCoordinatesFromMapLink,
+    coordinatesFromBody,
+    MAX_RADIUS_KM
+};
@@ -0,0 +1,106 @@
+// utils/listingExport.js
+const ExcelJS = require('exceljs');
+const { stringify } = require('csv-stringify/sync');
+const { typeLabel, statusLabel, locationLabel } = require('./listingLabels');
+const { computePricePerAcre } = require('./plotSize');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const MAX_EXPORT_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 10000;
+
+// Same separator the importer splits on, so a sheet can be edited and re-imported
+const LIST_SEPARATOR = '; ';
+
+// Spreadsheet apps run cells starting with these as formulas ("=HYPERLINK(...)")
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Free text quoted so it always opens as text; the importer drops the quote again
+const textCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const joinList = (list) => textCell((list || []).join(LIST_SEPARATOR));
+const isoDate = (date) => (date ? new Date(date).toISOString() : '');
+
+// "12 of 40" for subdivisions (lean docs don't carry the plotSummary virtual)
+const plotsAvailable = (plots) => (plots && plots.length
+    ? `${plots.filter(plot => plot.status === 'available').length} of ${plots.length}`
+    : '');
+
+// Headers are ones the importer recognises; derived columns are ignored on import
+const EXPORT_COLUMNS = [
+    { header: 'ID', width: 26, value: l => String(l._id) },
+    { header: 'Slug', width: 30, value: l => l.slug || '' },
+    { header: 'Title', width: 36, value: l => textCell(l.title) },
+    { header: 'Location', width: 24, value: l => textCell(locationLabel(l.location)) },
+    { header: 'Type', width: 22, value: l => typeLabel(l.type) },
+    { header: 'Status', width: 12, value: l => statusLabel(l.status) },
+    { header: 'Publication', width: 12, value: l => l.publicationStatus || 'published' },
+    { header: 'Price', width: 18, value: l => textCell(l.price) },
+    { header: 'Price KES', width: 14, value: l => l.priceNum },
+    { header: 'Plot Size', width: 14, value: l => textCell(l.plotSize) },
+    { header: 'Acres', width: 10, value: l => (l.plotArea ? l.plotArea.acres : '') },
+    { header: 'Price per Acre', width: 16, value: l => computePricePerAcre(l.priceNum, l.plotArea && l.plotArea.acres) || '' },
+    { header: 'Plots Available', width: 14, value: l => plotsAvailable(l.plots) },
+    { header: 'Title Type', width: 16, value: l => textCell(l.titleType) },
+    { header: 'Amenities', width: 40, value: l => joinList(l.amenities) },
+    { header: 'Verification Checklist', width: 40, value: l => joinList(l.verificationChecklist) },
+    { header: 'Documents Available', width: 40, value: l => joinList(l.documentsAvailable) },
+    { header: 'Map Link', width: 30, value: l => textCell(l.mapLink) },
+    { header: 'Latitude', width: 12, value: l => (l.geo ? l.geo.coordinates[1] : '') },
+    { header: 'Longitude', width: 12, value: l => (l.geo ? l.geo.coordinates[0] : '') },
+    { header: 'WhatsApp', width: 15, value: l => textCell(l.whatsapp) },
+    { header: 'Description', width: 60, value: l => textCell(l.description) },
+    { header: 'Images', width: 40, value: l => joinList(l.images) },
+    { header: 'Created At', width: 22, value: l => isoDate(l.createdAt) },
+    { header: 'Updated At', width: 22, value: l => isoDate(l.updatedAt) }
+];
+
+const toRow = (listing) => EXPORT_COLUMNS.map(column => {
+    const value = column.value(listing);
+    return value === undefined || value === null ? '' : value;
+});
+
+// BOM so Excel opens UTF-8 (e.g. "m²") correctly
+function toCsv(listings) {
+    return '\ufeff' + stringify([EXPORT_COLUMNS.map(c => c.header), ...listings.map(toRow)]);
+}
+
+async function toXlsx(listings) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Listings', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = EXPORT_COLUMNS.map(({ header, width }) => ({ header, width }));
+    sheet.getRow(1).font = { bold: true };
+    listings.forEach(listing => sheet.addRow(toRow(listing)));
+    return workbook.xlsx.writeBuffer();
+}
+
+// Every stored field, for backups and reporting. POST /api/listings/import
+// reads the editable fields back as new drafts; it does not restore images,
+// boundaries, plots, history or publication state.
+function toJsonExport(listings, filters) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        count: listings.length,
+        filters,
+        listings: listings.map(({ __v, ...listing }) => listing)
+    }, null, 2);
+}
+
+const exportFilename = (format, now = new Date()) => `listings-${now.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+module.exports = {
+    toCsv,
+    toXlsx,
+    toJsonExport,
+    exportFilename,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    MAX_EXPORT_ROWS,
+    LIST_SEPARATOR
+};
@@ -0,0 +1,323 @@
+// utils/listingImport.js
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const LandListing = require('../models/LandListing');
+const { coordinatesFromBody } = require('./geo');
+const { parseList } = require('./lists');
+const { typeFromLabel, statusFromLabel, locationFromLabel } = require('./listingLabels');
+
+const IMPORT_FORMATS = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx',
+    '.json': 'json'
+};
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+const DEFAULT_WHATSAPP = '254704564880';
+
+// Listing field -> header spellings seen in spreadsheets (compared without
+// case, spaces or punctuation). latitude/longitude become the geo pin.
+const COLUMN_ALIASES = {
+    title: ['title', 'name', 'listingtitle', 'plotname'],
+    location: ['location', 'town', 'locality', 'place'],
+    type: ['type', 'landtype', 'category'],
+    status: ['status', 'availability'],
+    price: ['price', 'displayprice', 'pricedisplay'],
+    priceNum: ['pricenum', 'pricekes', 'amount', 'askingprice'],
+    plotSize: ['plotsize', 'size', 'acreage'],
+    titleType: ['titletype', 'tenure'],
+    amenities: ['amenities', 'features'],
+    verificationChecklist: ['verificationchecklist', 'verification', 'checks'],
+    documentsAvailable: ['documentsavailable', 'documents', 'docs'],
+    mapLink: ['maplink', 'map', 'googlemaps', 'mapurl'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon'],
+    description: ['description', 'details', 'notes'],
+    whatsapp: ['whatsapp', 'phone', 'contact']
+};
+
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES);
+const LIST_FIELDS = ['amenities', 'verificationChecklist', 'documentsAvailable'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ExcelJS cell values: rich text, hyperlinks, formulas and dates become text
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+}
+
+function readCsv(buffer) {
+    const records = parse(buffer, {
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true
+    });
+    if (!records.length) return { headers: [], rows: [] };
+
+    const headers = records[0].record;
+    const rows = records.slice(1).map(({ record, info }) => ({
+        row: info.lines,
+        values: Object.fromEntries(headers.map((header, i) => [header, record[i] || '']))
+    }));
+    return { headers, rows };
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+        headers[col - 1] = cellText(cell.value).trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = {};
+        headers.forEach((header, i) => {
+            if (header) values[header] = cellText(row.getCell(i + 1).value).trim();
+        });
+        if (Object.values(values).some(Boolean)) rows.push({ row: rowNumber, values });
+    });
+    return { headers: headers.filter(Boolean), rows };
+}
+
+// A JSON export (or a plain array of listings); "row" is the 1-based position.
+// Only the editable fields are read, so entries come back as new drafts.
+function readJson(buffer) {
+    const parsed = JSON.parse(buffer.toString('utf8'));
+    const listings = Array.isArray(parsed) ? parsed : parsed && parsed.listings;
+    if (!Array.isArray(listings)) {
+        throw new Error('expected an array of listings or { "listings": [...] }');
+    }
+
+    const rows = listings.map((listing, i) => {
+        const values = {};
+        IMPORT_FIELDS.forEach(field => {
+            const value = listing[field];
+            if (value === undefined || value === null) return;
+            values[field] = Array.isArray(value) ? JSON.stringify(value) : String(value);
+        });
+        if (listing.geo && Array.isArray(listing.geo.coordinates)) {
+            values.longitude = String(listing.geo.coordinates[0]);
+            values.latitude = String(listing.geo.coordinates[1]);
+        }
+        return { row: i + 1, values };
+    });
+    return { headers: IMPORT_FIELDS, rows };
+}
+
+const READERS = {
+    csv: readCsv,
+    xlsx: readXlsx,
+    json: readJson
+};
+
+/**
+ * Read a CSV/XLSX upload (first sheet, row 1 holds the headers) or a JSON
+ * export from GET /api/listings/export?format=json.
+ * Returns { headers, rows: [{ row, values }] } or { error }.
+ */
+async function readSpreadsheet(buffer, filename) {
+    const format = IMPORT_FORMATS[path.extname(filename || '').toLowerCase()];
+    if (!format) {
+        return { error: 'Import file must be .csv, .xlsx or .json' };
+    }
+
+    let sheet;
+    try {
+        sheet = await READERS[format](buffer);
+    } catch (error) {
+        return { error: `Could not read ${format.toUpperCase()} file: ${error.message}` };
+    }
+
+    if (!sheet.rows.length) {
+        return { error: 'The file has no listings to import' };
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        return { error: `Too many rows (${sheet.rows.length}). Import at most ${MAX_IMPORT_ROWS} at a time` };
+    }
+    return { ...sheet, format };
+}
+
+/**
+ * Match headers to listing fields. `mapping` ({ "Plot No": "title" })
+ * overrides the built-in aliases. Returns { columns, unmapped, errors }.
+ */
+function resolveColumns(headers, mapping = {}) {
+    const errors = [];
+    const explicit = {};
+    Object.entries(mapping).forEach(([header, field]) => {
+        if (!IMPORT_FIELDS.includes(field)) {
+            errors.push(`Unknown field "${field}" for column "${header}". Allowed: ${IMPORT_FIELDS.join(', ')}`);
+            return;
+        }
+        explicit[normalizeHeader(header)] = field;
+    });
+
+    const columns = {};
+    const unmapped = [];
+    headers.forEach(header => {
+        const key = normalizeHeader(header);
+        const field = explicit[key] || IMPORT_FIELDS.find(f => COLUMN_ALIASES[f].includes(key));
+        if (!field) {
+            unmapped.push(header);
+        } else if (Object.values(columns).includes(field)) {
+            errors.push(`More than one column maps to ${field}`);
+        } else {
+            columns[header] = field;
+        }
+    });
+
+    ['title', 'location', 'type'].forEach(field => {
+        if (!Object.values(columns).includes(field)) errors.push(`No column for required field: ${field}`);
+    });
+    if (!Object.values(columns).some(field => field === 'price' || field === 'priceNum')) {
+        errors.push('No column for required field: price');
+    }
+
+    return { columns, unmapped, errors };
+}
+
+// "KES 1,200,000", "1.2M", "850k"
+function parseMoney(text) {
+    const str = String(text || '').toLowerCase().replace(/,/g, '');
+    const short = str.match(/(\d+(?:\.\d+)?)\s*(m|million|k)\b/);
+    if (short) return parseFloat(short[1]) * (short[2] === 'k' ? 1000 : 1000000);
+    const plain = str.match(/\d+(?:\.\d+)?/);
+    return plain ? parseFloat(plain[0]) : NaN;
+}
+
+// Exports quote text that would open as a formula ("'=..."); take the quote off
+const unquoteCell = (text) => (/^'[=+\-@]/.test(text) ? text.slice(1) : text);
+
+// Listing data for one row, with the same defaults as POST /api/listings/add.
+// Location labels from an export map back to the stored spelling.
+function rowToListing(values, columns, admin, knownLocations) {
+    const raw = {};
+    Object.entries(columns).forEach(([header, field]) => {
+        raw[field] = unquoteCell(String(values[header] || '').trim());
+    });
+
+    // Missing title/location/type/size are reported by the schema
+    const errors = [];
+    const priceNum = parseMoney(raw.priceNum || raw.price);
+    if (!raw.priceNum && !raw.price) {
+        errors.push('Price is required');
+    } else if (!Number.isFinite(priceNum) || priceNum <= 0) {
+        errors.push(`Price is not a number: ${raw.priceNum || raw.price}`);
+    }
+
+    const data = {
+        title: raw.title,
+        location: locationFromLabel(raw.location, knownLocations),
+        type: typeFromLabel(raw.type),
+        status: raw.status ? statusFromLabel(raw.status) : 'available',
+        price: raw.price || `KES ${Math.round(priceNum || 0).toLocaleString()}`,
+        priceNum: Number.isFinite(priceNum) ? priceNum : 0,
+        plotSize: raw.plotSize || '',
+        titleType: raw.titleType || '',
+        description: raw.description || '',
+        whatsapp: (raw.whatsapp || DEFAULT_WHATSAPP).replace(/[\s+()-]/g, ''),
+        mapLink: raw.mapLink || '',
+        createdBy: admin ? admin._id : undefined
+    };
+    LIST_FIELDS.forEach(field => {
+        data[field] = parseList(raw[field]);
+    });
+
+    const coords = coordinatesFromBody({ latitude: raw.latitude, longitude: raw.longitude });
+    if (coords.error) errors.push(coords.error);
+    if (coords.point) data.geo = coords.point;
+
+    return { data, errors };
+}
+
+/**
+ * Validate every row without writing anything. Rows are checked against the
+ * LandListing schema and for repeats (same title and location) in the file.
+ * Returns { report, listings } where listings are the valid, unsaved docs.
+ */
+async function validateRows(rows, columns, admin) {
+    const report = [];
+    const listings = [];
+    const seen = new Map();
+    const knownLocations = await LandListing.distinct('location');
+
+    for (const { row, values } of rows) {
+        const { data, errors } = rowToListing(values, columns, admin, knownLocations);
+
+        const key = `${data.title}|${data.location}`.toLowerCase();
+        if (data.title && seen.has(key)) {
+            errors.push(`Duplicate of row ${seen.get(key)} (same title and location)`);
+        } else if (data.title) {
+            seen.set(key, row);
+        }
+
+        const listing = new LandListing(data);
+        try {
+            await listing.validate();
+        } catch (error) {
+            if (error.name !== 'ValidationError') throw error;
+            Object.values(error.errors).forEach(err => {
+                if (!errors.includes(err.message)) errors.push(err.message);
+            });
+        }
+
+        const valid = errors.length === 0;
+        if (valid) listings.push(listing);
+        report.push({
+            row,
+            title: data.title,
+            valid,
+            errors,
+            plotArea: valid ? listing.plotArea : undefined
+        });
+    }
+
+    return { report, listings };
+}
+
+/**
+ * Save validated listings in a single insertMany. Slugs are assigned first
+ * because insertMany skips the pre-save slug hook.
+ */
+async function insertListings(listings) {
+    const reserved = new Set();
+    for (const listing of listings) {
+        listing.slug = await LandListing.generateUniqueSlug(listing.title, listing._id, reserved);
+        reserved.add(listing.slug);
+    }
+    return LandListing.insertMany(listings);
+}
+
+const summarize = (report) => ({
+    totalRows: report.length,
+    validRows: report.filter(r => r.valid).length,
+    invalidRows: report.filter(r => !r.valid).length
+});
+
+module.exports = {
+    readSpreadsheet,
+    resolveColumns,
+    validateRows,
+    insertListings,
+    summarize,
+    parseMoney,
+    IMPORT_FORMATS,
+    IMPORT_FIELDS,
+    COLUMN_ALIASES,
+    MAX_IMPORT_ROWS
+};
@@ -0,0 +1,78 @@
+// utils/listingLabels.js
+// Human-friendly names for listing enums, shared by import and export
+
+const TYPE_LABELS = {
+    'land-res': 'Residential Plot',
+    'land-comm': 'Commercial Land',
+    'ranch': 'Ranch / Agricultural',
+    'plot': 'Plot',
+    'subdivision-ready': 'Subdivision Ready',
+    'title-deed-ready': 'Title Deed Ready'
+};
+
+const STATUS_LABELS = {
+    available: 'Available',
+    reserved: 'Reserved',
+    sold: 'Sold'
+};
+
+// Words people type in spreadsheets instead of the stored value
+const TYPE_ALIASES = {
+    'residential': 'land-res',
+    'residential land': 'land-res',
+    'commercial': 'land-comm',
+    'agricultural': 'ranch',
+    'agricultural land': 'ranch',
+    'farm': 'ranch',
+    'subdivision': 'subdivision-ready',
+    'title deed ready': 'title-deed-ready'
+};
+
+const labelLookup = (labels) => Object.entries(labels)
+    .reduce((acc, [value, label]) => ({ ...acc, [label.toLowerCase()]: value }), {});
+
+const TYPE_BY_LABEL = { ...labelLookup(TYPE_LABELS), ...TYPE_ALIASES };
+const STATUS_BY_LABEL = labelLookup(STATUS_LABELS);
+
+// Stored value for a type/status given either the value or its label;
+// unknown input is returned lowercased so the model's enum check reports it
+const typeFromLabel = (text) => {
+    const key = String(text || '').trim().toLowerCase();
+    return TYPE_LABELS[key] ? key : (TYPE_BY_LABEL[key] || key);
+};
+
+const statusFromLabel = (text) => {
+    const key = String(text || '').trim().toLowerCase();
+    return STATUS_LABELS[key] ? key : (STATUS_BY_LABEL[key] || key);
+};
+
+const typeLabel = (type) => TYPE_LABELS[type] || type || '';
+const statusLabel = (status) => STATUS_LABELS[status] || status || '';
+
+// "ongata-rongai" -> "Ongata Rongai"; text with capitals is kept as typed
+const locationLabel = (location) => {
+    const text = String(location || '').trim();
+    if (/[A-Z]/.test(text)) return text;
+    return text
+        .replace(/[-_\s]+/g, ' ')
+        .replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+};
+
+// Inverse of locationLabel: the spelling an existing listing already uses
+// ("Ongata Rongai" -> "ongata-rongai"), otherwise the text as typed
+const locationKey = (text) => String(text || '').trim().toLowerCase().replace(/[-_\s]+/g, ' ');
+const locationFromLabel = (label, knownLocations = []) => {
+    const key = locationKey(label);
+    return knownLocations.find(location => locationKey(location) === key) || String(label || '').trim();
+};
+
+module.exports = {
+    TYPE_LABELS,
+    STATUS_LABELS,
+    typeFromLabel,
+    statusFromLabel,
+    typeLabel,
+    statusLabel,
+    locationLabel,
+    locationFromLabel
+};
@@ -0,0 +1,136 @@
+// utils/listingQuery.js
+const LandListing = require('../models/LandListing');
+const { SQM_PER_ACRE, SQM_PER_HECTARE } = require('./plotSize');
+const { recentlyReducedFilter, PRICE_DROP_DAYS, MAX_PRICE_DROP_DAYS } = require('./priceHistory');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    'price-asc': { priceNum: 1, createdAt: -1 },
+    'price-desc': { priceNum: -1, createdAt: -1 },
+    'size-asc': { 'plotArea.acres': 1, createdAt: -1 },
+    'size-desc': { 'plotArea.acres': -1, createdAt: -1 }
+};
+
+// minSize/maxSize are in acres unless sizeUnit says otherwise
+const SIZE_UNITS = {
+    acres: 1,
+    ha: SQM_PER_HECTARE / SQM_PER_ACRE,
+    sqm: 1 / SQM_PER_ACRE
+};
+
+function escapeRegex(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accepts ?type=a,b and ?type=a&type=b
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function toNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : NaN;
+}
+
+function addRange(query, field, min, max, label, errors) {
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+        errors.push(`${label} range must be numeric`);
+        return;
+    }
+    if (min === undefined && max === undefined) return;
+    if (min !== undefined && max !== undefined && min > max) {
+        errors.push(`min${label} cannot be greater than max${label}`);
+        return;
+    }
+    query[field] = {};
+    if (min !== undefined) query[field].$gte = min;
+    if (max !== undefined) query[field].$lte = max;
+}
+
+function addEnumFilter(query, field, raw, errors) {
+    const values = toList(raw);
+    if (!values.length) return;
+    const allowed = LandListing.schema.path(field).enumValues;
+    const invalid = values.filter(v => !allowed.includes(v));
+    if (invalid.length) {
+        errors.push(`Invalid ${field}: ${invalid.join(', ')}. Allowed: ${allowed.join(', ')}`);
+        return;
+    }
+    query[field] = values.length === 1 ? values[0] : { $in: values };
+}
+
+/**
+ * Translate GET /api/listings query params into a Mongo filter, sort and page.
+ * Returns { filter, sort, page, limit, reducedDays, errors }.
+ */
+function buildListingQuery(params = {}) {
+    const errors = [];
+    const filter = {};
+
+    addEnumFilter(filter, 'type', params.type, errors);
+    addEnumFilter(filter, 'status', params.status, errors);
+
+    if (params.location && String(params.location).trim()) {
+        // "kangundo-road" and "Kangundo Road" are the same place
+        const location = escapeRegex(String(params.location).trim()).replace(/[-\s]+/g, '[-\\s]+');
+        filter.location = { $regex: location, $options: 'i' };
+    }
+
+    addRange(filter, 'priceNum', toNumber(params.minPrice), toNumber(params.maxPrice), 'Price', errors);
+    const sizeUnit = params.sizeUnit || 'acres';
+    const toAcres = SIZE_UNITS[sizeUnit];
+    if (!toAcres) {
+        errors.push(`Invalid sizeUnit: ${sizeUnit}. Allowed: ${Object.keys(SIZE_UNITS).join(', ')}`);
+    } else {
+        const minSize = toNumber(params.minSize);
+        const maxSize = toNumber(params.maxSize);
+        addRange(
+            filter,
+            'plotArea.acres',
+            minSize === undefined ? undefined : minSize * toAcres,
+            maxSize === undefined ? undefined : maxSize * toAcres,
+            'Size',
+            errors
+        );
+    }
+
+    // ?reduced=true, optionally ?reducedDays=7 (default PRICE_DROP_DAYS)
+    let reducedDays = PRICE_DROP_DAYS;
+    if (params.reduced === 'true' || params.reduced === '1') {
+        reducedDays = params.reducedDays === undefined ? PRICE_DROP_DAYS : Number(params.reducedDays);
+        if (!Number.isInteger(reducedDays) || reducedDays < 1 || reducedDays > MAX_PRICE_DROP_DAYS) {
+            errors.push(`reducedDays must be a whole number from 1 to ${MAX_PRICE_DROP_DAYS}`);
+        } else {
+            Object.assign(filter, recentlyReducedFilter(reducedDays));
+        }
+    }
+
+    const sortKey = params.sort || 'newest';
+    if (!SORTS[sortKey]) {
+        errors.push(`Invalid sort: ${sortKey}. Allowed: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+
+    return { filter, sort: SORTS[sortKey] || SORTS.newest, page, limit, reducedDays, errors };
+}
+
+module.exports = {
+    buildListingQuery,
+    escapeRegex,
+    SORTS,
+    SIZE_UNITS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT
+};
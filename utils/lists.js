@@ -0,0 +1,20 @@
+// utils/lists.js
+// "Water; Electricity", "Water | Electricity", one per line, or a JSON array.
+// Commas only separate items when nothing else does.
+function parseList(text) {
+    if (!text) return [];
+    if (text.startsWith('[')) {
+        try {
+            const list = JSON.parse(text);
+            if (Array.isArray(list)) return list.map(item => String(item).trim()).filter(Boolean);
+        } catch (error) {
+            // Not JSON after all; split it like any other cell
+        }
+    }
+    const separator = /[;|\n]/.test(text) ? /[;|\n]/ : /,/;
+    return text.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    parseList
+};
@@ -0,0 +1,94 @@
+// utils/loginThrottle.js
+const LoginAttempt = require('../models/LoginAttempt');
+const Admin = require('../models/Admin');
+
+const WINDOW_MS = 15 * 60 * 1000;
+const MAX_USER_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20', 10);
+const LOCK_DURATION_MS = parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10) * 60 * 1000;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Failed attempts in the current window for this username and this IP
+const countRecentFailures = async ({ username, ip }) => {
+    const since = new Date(Date.now() - WINDOW_MS);
+    const [userFailures, ipFailures] = await Promise.all([
+        username ? LoginAttempt.countDocuments({ username, success: false, createdAt: { $gte: since } }) : 0,
+        LoginAttempt.countDocuments({ ip, success: false, createdAt: { $gte: since } })
+    ]);
+    return { userFailures, ipFailures };
+};
+
+// No delay for the first couple of mistakes, then 1s, 2s, 4s... capped
+const progressiveDelay = (failures) => {
+    if (failures < 2) return 0;
+    return Math.min(1000 * 2 ** (failures - 2), MAX_DELAY_MS);
+};
+
+// Stored as a failure before the limits are checked, so parallel attempts
+// from one IP count each other. recordLoginAttempt settles it.
+const reserveLoginAttempt = (req, username) => {
+    return LoginAttempt.create({
+        username,
+        ip: req.ip,
+        userAgent: (req.get('user-agent') || '').substring(0, 300),
+        success: false,
+        reason: 'pending'
+    });
+};
+
+// Pass the reserved `attempt` to settle it; without one a new entry is written
+const recordLoginAttempt = (req, { username, admin, success, reason }, attempt = null) => {
+    const outcome = { username, admin: admin ? admin._id : undefined, success, reason };
+    const write = attempt
+        ? LoginAttempt.updateOne({ _id: attempt._id }, outcome)
+        : LoginAttempt.create({
+            ...outcome,
+            ip: req.ip,
+            userAgent: (req.get('user-agent') || '').substring(0, 300)
+        });
+    return write.catch(err => console.error('❌ Failed to record login attempt:', err.message));
+};
+
+// The password was right but a second step follows; that step records the outcome
+const discardLoginAttempt = (attempt) => {
+    return LoginAttempt.deleteOne({ _id: attempt._id })
+        .catch(err => console.error('❌ Failed to discard login attempt:', err.message));
+};
+
+// Call after a wrong password; locks the account once the limit is reached.
+// One atomic update, so parallel guesses can't overwrite each other's count.
+const registerFailure = async (admin) => {
+    const reachedLimit = { $gte: ['$failedLoginCount', MAX_USER_FAILURES] };
+    const updated = await Admin.findOneAndUpdate({ _id: admin._id }, [
+        { $set: { failedLoginCount: { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] } } },
+        {
+            $set: {
+                lockedUntil: { $cond: [reachedLimit, new Date(Date.now() + LOCK_DURATION_MS), '$lockedUntil'] },
+                failedLoginCount: { $cond: [reachedLimit, 0, '$failedLoginCount'] }
+            }
+        }
+    ], { new: true });
+    if (!updated) return;
+
+    admin.failedLoginCount = updated.failedLoginCount;
+    admin.lockedUntil = updated.lockedUntil;
+    if (updated.isLocked()) {
+        console.warn(`🔒 Admin "${admin.username}" locked until ${updated.lockedUntil.toISOString()}`);
+    }
+};
+
+module.exports = {
+    WINDOW_MS,
+    MAX_USER_FAILURES,
+    MAX_IP_FAILURES,
+    LOCK_DURATION_MS,
+    sleep,
+    countRecentFailures,
+    progressiveDelay,
+    reserveLoginAttempt,
+    recordLoginAttempt,
+    discardLoginAttempt,
+    registerFailure
+};
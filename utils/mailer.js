@@ -0,0 +1,100 @@
+// utils/mailer.js
+// Pluggable mail transport. Pick one with MAIL_TRANSPORT:
+//   console - print messages to stdout (development/test only; the default there)
+//   file    - write each message as JSON to MAIL_OUTBOX_DIR (default ./mail-outbox)
+//   smtp    - send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// Extra transports can be added with registerTransport(name, factory).
+// In production (any NODE_ENV other than development/test, including unset)
+// mail is refused unless smtp, file or a registered transport is configured,
+// so reset links never end up in the logs.
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Unipro Real Estate <no-reply@uniprorealestate.co.ke>';
+
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 ================= OUTGOING MAIL =================');
+      console.log(`To:      ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('====================================================');
+      return { transport: 'console' };
+    }
+  }),
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    return {
+      send: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const safeTo = String(message.to).replace(/[^a-z0-9@.-]/gi, '_');
+        const filePath = path.join(outboxDir, `${Date.now()}-${safeTo}.json`);
+        await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+        return { transport: 'file', path: filePath };
+      }
+    };
+  },
+
+  smtp: () => {
+    // Required lazily so console/file setups never touch nodemailer
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+const isProduction = () => !['development', 'test'].includes(process.env.NODE_ENV);
+
+// null when nothing usable is configured for this environment
+const defaultTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (name === 'console' && isProduction()) return null;
+  return name;
+};
+
+const isMailConfigured = () => Boolean(activeTransport || defaultTransportName());
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = defaultTransportName();
+    if (!name) {
+      throw new Error('No mail transport configured. Set SMTP_HOST or MAIL_TRANSPORT=file (console is development-only)');
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+// Mainly for tests: swap in a transport object directly
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail, isMailConfigured, registerTransport, setTransport };
@@ -0,0 +1,100 @@
+// utils/plotSize.js
+const SQM_PER_ACRE = 4046.8564224;
+const SQM_PER_HECTARE = 10000;
+const SQM_PER_SQ_FT = 0.09290304;
+const SQ_FT_PER_ACRE = 43560;
+
+// Unit words -> square metres per unit
+const AREA_UNITS = [
+  { pattern: /^(acres?|ac)$/, sqm: SQM_PER_ACRE },
+  { pattern: /^(hectares?|ha)$/, sqm: SQM_PER_HECTARE },
+  { pattern: /^(sq\.?\s*m|sqm|m2|m²|square\s*met(re|er)s?)$/, sqm: 1 },
+  { pattern: /^(sq\.?\s*ft|sqft|ft2|ft²|square\s*f(ee|oo)t)$/, sqm: SQM_PER_SQ_FT }
+];
+
+const WORD_FRACTIONS = {
+  half: 0.5,
+  quarter: 0.25,
+  eighth: 0.125
+};
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function toArea(sqm) {
+  if (!Number.isFinite(sqm) || sqm <= 0) return null;
+  return { sqm: round(sqm, 2), acres: round(sqm / SQM_PER_ACRE, 4) };
+}
+
+// "1 1/2", "1/8", "0.5", "2"
+function parseQuantity(str) {
+  const mixed = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+
+  const frac = str.match(/^(\d+)\/(\d+)$/);
+  if (frac) return parseInt(frac[1], 10) / parseInt(frac[2], 10);
+
+  if (/^\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+  if (WORD_FRACTIONS[str] !== undefined) return WORD_FRACTIONS[str];
+  return null;
+}
+
+function unitToSqm(unit) {
+  const match = AREA_UNITS.find(u => u.pattern.test(unit));
+  return match ? match.sqm : null;
+}
+
+/**
+ * Parse a plot size such as "1/8 acre", "2.5 acres", "0.4 ha", "500 sqm"
+ * or "50x100" (feet unless metres are given, e.g. "15x30m").
+ * Returns { sqm, acres } or null when the size cannot be understood.
+ */
+function parsePlotSize(sizeStr) {
+  if (!sizeStr) return null;
+  const str = String(sizeStr)
+    .toLowerCase()
+    .replace(/,/g, '')
+    .replace(/\s+(an?|of an?)\s+/g, ' ')
+    .replace(/^(an?)\s+/, '')
+    .trim();
+
+  // Dimensions: "50x100", "50 by 100 ft", "15 x 30 m"
+  const dims = str.match(/^(\d+(?:\.\d+)?)\s*(?:x|by|\*|×)\s*(\d+(?:\.\d+)?)\s*(ft|feet|m|metres|meters)?$/);
+  if (dims) {
+    const sqmPerUnit = dims[3] && dims[3].startsWith('m') ? 1 : SQM_PER_SQ_FT;
+    return toArea(parseFloat(dims[1]) * parseFloat(dims[2]) * sqmPerUnit);
+  }
+
+  // Quantity + unit: "1/8 acre", "1 1/2 acres", "half acre", "500sqm"
+  const qty = str.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?|half|quarter|eighth)\s*(.+)$/);
+  if (qty) {
+    const amount = parseQuantity(qty[1]);
+    const sqmPerUnit = unitToSqm(qty[2].replace(/\bplot\b|\bland\b/g, '').trim());
+    if (amount !== null && sqmPerUnit !== null) return toArea(amount * sqmPerUnit);
+  }
+
+  return null;
+}
+
+// Kept for callers that only need acres
+function parseAcreSize(sizeStr) {
+  const area = parsePlotSize(sizeStr);
+  return area ? area.acres : null;
+}
+
+function computePricePerAcre(priceNum, acres) {
+  if (!priceNum || !acres) return null;
+  return Math.round(priceNum / acres);
+}
+
+module.exports = {
+  parsePlotSize,
+  parseAcreSize,
+  computePricePerAcre,
+  SQM_PER_ACRE,
+  SQM_PER_HECTARE,
+  SQM_PER_SQ_FT,
+  SQ_FT_PER_ACRE
+};
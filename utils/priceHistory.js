@@ -0,0 +1,95 @@
+// utils/priceHistory.js
+
+// How far back a price cut still earns the "reduced" flag
+const PRICE_DROP_DAYS = parseInt(process.env.PRICE_DROP_DAYS, 10) || 30;
+const MAX_PRICE_DROP_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const windowStart = (days = PRICE_DROP_DAYS, now = new Date()) => new Date(now.getTime() - days * DAY_MS);
+
+/**
+ * History entry for a priceNum change, or null if the price did not change.
+ * `from` is null for the opening price of a new listing.
+ */
+const priceChangeEntry = (from, to, admin, at = new Date()) => {
+    const previous = from === undefined || from === null ? null : Number(from);
+    const next = Number(to);
+    if (!Number.isFinite(next) || next <= 0 || previous === next) return null;
+
+    return {
+        from: previous,
+        to: next,
+        changedAt: at,
+        changedBy: admin ? admin._id : undefined,
+        changedByUsername: admin ? admin.username : 'system'
+    };
+};
+
+// A cut starts (or restarts) the reduced window; a rise ends it
+const reducedAtAfter = (entry, current) => {
+    if (entry.from === null) return current;
+    return entry.to < entry.from ? entry.changedAt : null;
+};
+
+// For documents about to be saved; call after priceNum has been set
+const trackPriceChange = (listing, previousPriceNum, admin) => {
+    const entry = priceChangeEntry(previousPriceNum, listing.priceNum, admin);
+    if (!entry) return null;
+    listing.priceHistory.push(entry);
+    listing.priceReducedAt = reducedAtAfter(entry, listing.priceReducedAt);
+    return entry;
+};
+
+/**
+ * The computed "reduced" flag: compares the current price with the price
+ * in force at the start of the window. Null unless it is now lower.
+ */
+const priceReduction = (listing, { days = PRICE_DROP_DAYS, now = new Date() } = {}) => {
+    const since = windowStart(days, now);
+    const recent = (listing.priceHistory || [])
+        .filter(entry => entry.from !== null && entry.from !== undefined && new Date(entry.changedAt) > since)
+        .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+    if (!recent.length) return null;
+
+    const from = recent[0].from;
+    const to = listing.priceNum;
+    if (!from || !(to < from)) return null;
+
+    // The price ended lower, so at least one change in the window was a cut
+    const lastCut = recent.filter(entry => entry.to < entry.from).pop();
+    return {
+        reduced: true,
+        percent: Math.round(((from - to) / from) * 1000) / 10,
+        from,
+        to,
+        amount: from - to,
+        at: lastCut.changedAt,
+        days
+    };
+};
+
+// Narrows /api/listings to listings cut within the window
+const recentlyReducedFilter = (days = PRICE_DROP_DAYS, now = new Date()) => ({
+    priceReducedAt: { $gte: windowStart(days, now) }
+});
+
+// List/search rows carry the flag but not the full history
+const withPriceReduction = (listing, days = PRICE_DROP_DAYS) => {
+    const { priceHistory, ...rest } = listing;
+    return { ...rest, priceReduction: priceReduction(listing, { days }) };
+};
+
+// The public sees prices and dates, not who changed them
+const publicPriceHistory = (history = []) => history.map(({ from, to, changedAt }) => ({ from, to, changedAt }));
+
+module.exports = {
+    priceChangeEntry,
+    reducedAtAfter,
+    trackPriceChange,
+    priceReduction,
+    recentlyReducedFilter,
+    withPriceReduction,
+    publicPriceHistory,
+    PRICE_DROP_DAYS,
+    MAX_PRICE_DROP_DAYS
+};
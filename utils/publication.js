@@ -0,0 +1,144 @@
+// utils/publication.js
+const LandListing = require('../models/LandListing');
+
+const JOB_INTERVAL_MS = parseInt(process.env.PUBLICATION_JOB_INTERVAL_MS, 10) || 60 * 1000;
+
+// Allowed moves between publication states
+const TRANSITIONS = {
+    submit: { from: ['draft', 'archived'], to: 'review', action: 'submitted' },
+    approve: { from: ['review'], to: 'published', action: 'approved' },
+    reject: { from: ['review'], to: 'draft', action: 'rejected' },
+    archive: { from: ['published'], to: 'archived', action: 'archived' }
+};
+
+// Pre-workflow listings have no publicationStatus and are live
+const effectiveStatus = (listing) => listing.publicationStatus || 'published';
+
+// Mongo filter for what anonymous visitors and API-key partners may see
+const publicListingFilter = (now = new Date()) => ({
+    deletedAt: null,
+    publicationStatus: { $in: ['published', null] },
+    publishAt: { $not: { $gt: now } },
+    expiresAt: { $not: { $lte: now } }
+});
+
+const isPubliclyVisible = (listing, now = new Date()) =>
+    !listing.deletedAt &&
+    effectiveStatus(listing) === 'published' &&
+    !(listing.publishAt && listing.publishAt > now) &&
+    !(listing.expiresAt && listing.expiresAt <= now);
+
+// Signed-in admins see every state; API keys get the public view
+const canViewUnpublished = (req) => Boolean(req.admin && !req.apiKey);
+
+const PUBLICATION_STATES = LandListing.schema.path('publicationStatus').enumValues;
+
+/**
+ * Visibility part of a listing query. Visitors get the public filter;
+ * admins see everything and may narrow with ?publication=draft,review.
+ * Returns { filter } or { error }.
+ */
+const visibilityFilter = (req) => {
+    if (!canViewUnpublished(req)) return { filter: publicListingFilter() };
+
+    const raw = req.query.publication;
+    // Trashed listings are only listed through /api/listings/trash
+    if (!raw) return { filter: { deletedAt: null } };
+
+    const states = [].concat(raw).flatMap(v => String(v).split(',')).map(v => v.trim().toLowerCase()).filter(Boolean);
+    const invalid = states.filter(state => !PUBLICATION_STATES.includes(state));
+    if (invalid.length) {
+        return { error: `Invalid publication: ${invalid.join(', ')}. Allowed: ${PUBLICATION_STATES.join(', ')}` };
+    }
+    // Pre-workflow listings (no state) are published
+    const values = states.includes('published') ? [...states, null] : states;
+    return { filter: { deletedAt: null, publicationStatus: { $in: values } } };
+};
+
+const parseDate = (value, label) => {
+    if (value === undefined || value === null || value === '') return { date: undefined };
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: `${label} must be a valid date` };
+    return { date };
+};
+
+/**
+ * Move a listing through the workflow. Mutates the document (caller saves)
+ * and returns an error message, or null on success.
+ */
+const applyTransition = (listing, name, { admin, comment, publishAt, expiresAt } = {}) => {
+    const transition = TRANSITIONS[name];
+    const from = effectiveStatus(listing);
+    if (!transition.from.includes(from)) {
+        return `Cannot ${name} a listing that is ${from}`;
+    }
+
+    const schedule = {};
+    for (const [field, value, label] of [['publishAt', publishAt, 'publishAt'], ['expiresAt', expiresAt, 'expiresAt']]) {
+        const { date, error } = parseDate(value, label);
+        if (error) return error;
+        if (date) schedule[field] = date;
+    }
+    // An expired listing being resubmitted starts without its old expiry
+    if (from === 'archived' && !schedule.expiresAt && listing.expiresAt && listing.expiresAt <= new Date()) {
+        listing.expiresAt = undefined;
+    }
+
+    const start = schedule.publishAt || listing.publishAt || new Date();
+    const end = schedule.expiresAt || listing.expiresAt;
+    if (end && end <= start) {
+        return 'expiresAt must be after the publish date';
+    }
+
+    Object.assign(listing, schedule);
+    listing.publicationStatus = transition.to;
+    if (comment !== undefined) listing.reviewComment = comment;
+    listing.publicationHistory.push({
+        action: transition.action,
+        from,
+        to: transition.to,
+        actor: admin ? admin._id : undefined,
+        actorUsername: admin ? admin.username : undefined,
+        comment
+    });
+    return null;
+};
+
+// Published listings past their expiresAt move to archived
+const archiveExpiredListings = async (now = new Date()) => {
+    const expired = await LandListing.find({
+        deletedAt: null,
+        publicationStatus: { $in: ['published', null] },
+        expiresAt: { $lte: now }
+    });
+
+    for (const listing of expired) {
+        const from = effectiveStatus(listing);
+        listing.publicationStatus = 'archived';
+        listing.publicationHistory.push({ action: 'expired', from, to: 'archived', at: now });
+        await listing.save();
+        console.log(`📦 Listing expired and archived: ${listing.title}`);
+    }
+    return expired.length;
+};
+
+const startPublicationScheduler = () => {
+    const timer = setInterval(() => {
+        archiveExpiredListings().catch(err => console.error('❌ Publication job failed:', err.message));
+    }, JOB_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    TRANSITIONS,
+    effectiveStatus,
+    publicListingFilter,
+    isPubliclyVisible,
+    canViewUnpublished,
+    visibilityFilter,
+    PUBLICATION_STATES,
+    applyTransition,
+    archiveExpiredListings,
+    startPublicationScheduler
+};
@@ -0,0 +1,92 @@
+// utils/revisions.js
+const ListingRevision = require('../models/ListingRevision');
+
+// Derived, bulky or workflow-owned fields left out of snapshots
+const SNAPSHOT_EXCLUDED = [
+    '_id', '__v', 'id', 'boundary', 'slugHistory', 'publicationHistory',
+    'priceHistory', 'priceReducedAt', 'deletedAt', 'deletedBy', 'purgeAfter'
+];
+
+// What a revert restores. Images stay as they are: removed files are
+// already gone from Cloudinary, and publication state has its own workflow.
+// Subdivision plots record real reservations and sales, so they stay too.
+const REVERTABLE_FIELDS = [
+    'title', 'location', 'type', 'status', 'price', 'priceNum', 'plotSize',
+    'titleType', 'amenities', 'verificationChecklist', 'documentsAvailable',
+    'mapLink', 'geo', 'description', 'whatsapp'
+];
+
+const takeSnapshot = (listing) => {
+    const plain = typeof listing.toObject === 'function'
+        ? listing.toObject({ virtuals: false, depopulate: true })
+        : { ...listing };
+    SNAPSHOT_EXCLUDED.forEach(field => delete plain[field]);
+    // JSON round-trip stores ObjectIds/Dates the same way diffs compare them
+    return JSON.parse(JSON.stringify(plain));
+};
+
+const DUPLICATE_KEY = 11000;
+const MAX_REV_ATTEMPTS = 5;
+
+// Numbers the revision after the newest stored one. A concurrent edit that
+// takes the same number trips the unique { listing, rev } index, so re-read
+// the newest and try the next number.
+const createNextRevision = async (listingId, fields) => {
+    for (let attempt = 1; ; attempt++) {
+        const latest = await ListingRevision.findOne({ listing: listingId }).sort({ rev: -1 }).select('rev');
+        try {
+            return await ListingRevision.create({ ...fields, listing: listingId, rev: latest ? latest.rev + 1 : 1 });
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY || attempt >= MAX_REV_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Store the listing's current state as its next revision. Pass `before`
+ * on updates so listings created before revisions existed get a baseline
+ * to diff and revert against. Never breaks the request that triggered it.
+ */
+const recordRevision = async (req, listing, action, { before, revertedFrom } = {}) => {
+    try {
+        if (before && !(await ListingRevision.exists({ listing: listing._id }))) {
+            try {
+                await ListingRevision.create({
+                    listing: listing._id,
+                    rev: 1,
+                    action: 'baseline',
+                    snapshot: takeSnapshot(before)
+                });
+            } catch (error) {
+                // A concurrent edit stored the first revision already
+                if (error.code !== DUPLICATE_KEY) throw error;
+            }
+        }
+
+        return await createNextRevision(listing._id, {
+            action,
+            revertedFrom,
+            snapshot: takeSnapshot(listing),
+            actor: req && req.admin ? req.admin._id : undefined,
+            actorUsername: req && req.admin ? req.admin.username : 'system'
+        });
+    } catch (error) {
+        console.error('❌ Failed to record listing revision:', error.message);
+        return null;
+    }
+};
+
+// Copies the revertable fields of a snapshot onto a listing document
+const applySnapshot = (listing, snapshot) => {
+    REVERTABLE_FIELDS.forEach(field => {
+        listing.set(field, snapshot[field] === undefined ? undefined : snapshot[field]);
+    });
+};
+
+module.exports = {
+    takeSnapshot,
+    recordRevision,
+    applySnapshot,
+    REVERTABLE_FIELDS,
+    SNAPSHOT_EXCLUDED
+};
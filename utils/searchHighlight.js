@@ -0,0 +1,80 @@
+// utils/searchHighlight.js
+const { escapeRegex } = require('./listingQuery');
+
+const SNIPPET_RADIUS = 60;
+const HIGHLIGHT_FIELDS = ['title', 'location', 'description', 'amenities'];
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Words from the query, minus Mongo text-search operators ("-word", quotes)
+function extractTerms(q) {
+    return String(q || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .map(word => word.replace(/["']/g, '').replace(/[^\p{L}\p{N}/-]/gu, ''))
+        .filter(word => word.length > 1);
+}
+
+// Match the word and its inflections, e.g. "acre" also marks "acres"
+function buildTermPattern(terms) {
+    if (!terms.length) return null;
+    const stems = terms.map(term => escapeRegex(term.length > 4 ? term.slice(0, -1) : term));
+    return new RegExp(`(${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+function markMatches(text, pattern) {
+    let html = '';
+    let last = 0;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+// Cut a window around the first match so long descriptions stay short
+function snippetAround(text, pattern) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (!match) return null;
+
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return prefix + markMatches(text.slice(start, end), pattern) + suffix;
+}
+
+/**
+ * HTML-safe highlights for the fields that matched the query.
+ * Values are escaped; only <mark> tags are added.
+ */
+function buildHighlights(listing, q) {
+    const pattern = buildTermPattern(extractTerms(q));
+    const highlights = {};
+    if (!pattern) return highlights;
+
+    for (const field of HIGHLIGHT_FIELDS) {
+        const value = listing[field];
+        if (!value) continue;
+
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        const snippet = field === 'description'
+            ? snippetAround(text, pattern)
+            : (pattern.test(text) ? markMatches(text, pattern) : null);
+        if (snippet) highlights[field] = snippet;
+    }
+    return highlights;
+}
+
+module.exports = { buildHighlights, extractTerms, escapeHtml };
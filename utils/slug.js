@@ -0,0 +1,19 @@
+// utils/slug.js
+const MAX_SLUG_LENGTH = 80;
+
+// "1/8 Acre Plot - Katoloni, Machakos" -> "1-8-acre-plot-katoloni-machakos"
+function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || 'listing';
+}
+
+module.exports = { slugify, MAX_SLUG_LENGTH };
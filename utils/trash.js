@@ -0,0 +1,64 @@
+// utils/trash.js
+const cloudinary = require('cloudinary').v2;
+const LandListing = require('../models/LandListing');
+const { recordListingPurge } = require('./auditLog');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const JOB_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const purgeDate = (from = new Date()) => new Date(from.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const moveToTrash = (listing, admin) => {
+    listing.deletedAt = new Date();
+    listing.deletedBy = admin ? admin._id : undefined;
+    listing.purgeAfter = purgeDate(listing.deletedAt);
+};
+
+const restoreFromTrash = (listing) => {
+    listing.deletedAt = null;
+    listing.deletedBy = undefined;
+    listing.purgeAfter = undefined;
+};
+
+const destroyImages = async (listing) => {
+    for (const publicId of listing.cloudinaryPublicIds || []) {
+        try {
+            await cloudinary.uploader.destroy(publicId);
+            console.log(`✅ Deleted image: ${publicId}`);
+        } catch (error) {
+            console.warn('⚠️ Failed to delete image from Cloudinary:', error.message);
+        }
+    }
+};
+
+// Permanently removes trashed listings whose retention has run out
+const purgeExpiredTrash = async (now = new Date()) => {
+    const expired = await LandListing.find({
+        deletedAt: { $ne: null },
+        purgeAfter: { $lte: now }
+    });
+
+    for (const listing of expired) {
+        await destroyImages(listing);
+        await LandListing.deleteOne({ _id: listing._id });
+        await recordListingPurge(null, listing);
+        console.log(`🧹 Purged listing from trash: ${listing.title}`);
+    }
+    return expired.length;
+};
+
+const startTrashPurgeJob = () => {
+    const timer = setInterval(() => {
+        purgeExpiredTrash().catch(err => console.error('❌ Trash purge failed:', err.message));
+    }, JOB_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    RETENTION_DAYS,
+    moveToTrash,
+    restoreFromTrash,
+    purgeExpiredTrash,
+    startTrashPurgeJob
+};
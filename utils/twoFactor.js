@@ -0,0 +1,121 @@
+// utils/twoFactor.js
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s) plus helpers for secrets and recovery codes.
+const crypto = require('crypto');
+const { jwtSecret, hashToken } = require('./authTokens');
+
+const ISSUER = 'Unipro Real Estate';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that must have 2FA before they can sign in, e.g. "owner,agent"
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtSecret())
+    .digest();
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        bits += index.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+// Returns the matching time step (to block replays) or null
+const verifyTotp = (secret, code, window = 1) => {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const step = currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(hotp(secret, step + offset));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(token))) return step + offset;
+    }
+    return null;
+};
+
+const buildOtpAuthUrl = (username, secret) => {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are stored AES-256-GCM encrypted as iv.tag.ciphertext (hex)
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Plain codes are shown once; only hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+const isTwoFactorRequired = (admin) => REQUIRED_ROLES.includes(admin.role);
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    buildOtpAuthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    isTwoFactorRequired
+};